@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Command line for running adapters outside the server; see src/cli.js or --help.
+//
+//   activedispatch fetch pdx --format table
+//   activedispatch fetch sf --input tests/fixtures/sf.json --no-geocode
+
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  // exit explicitly (a Redis cache connection would keep the process alive), once stdout has drained
+  process.stdout.write("", () => process.exit(code));
+});
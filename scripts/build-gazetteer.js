@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Merge street centerlines (GeoJSON LineString/MultiLineString features, e.g. a city's
+// open-data street export or TIGER/Line converted with ogr2ogr) into a gazetteer file.
+//
+//   node scripts/build-gazetteer.js <streets.geojson> --city "nashville, tn" \
+//     [--name-field NAME] [--from-field FROMADD] [--to-field TOADD] [--out src/data/gazetteer.json]
+
+const fs = require("fs");
+const path = require("path");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 ? process.argv[i + 1] : fallback;
+}
+
+const input = process.argv[2];
+const city = arg("city");
+if (!input || !city) {
+  console.error("usage: build-gazetteer.js <streets.geojson> --city \"<city>, <st>\" [--name-field NAME] [--from-field F] [--to-field T] [--out file]");
+  process.exit(1);
+}
+const nameField = arg("name-field", "NAME");
+const fromField = arg("from-field");
+const toField = arg("to-field");
+const out = arg("out", path.join(__dirname, "..", "src", "data", "gazetteer.json"));
+
+const round = (n) => Math.round(n * 1e5) / 1e5;
+const geojson = JSON.parse(fs.readFileSync(input, "utf8"));
+const data = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, "utf8")) : {};
+const streets = (data[city.toLowerCase()] ||= {});
+
+let count = 0;
+for (const f of geojson.features || []) {
+  const name = f?.properties?.[nameField];
+  const g = f?.geometry;
+  if (!name || !g) continue;
+  const lines = g.type === "LineString" ? [g.coordinates] : g.type === "MultiLineString" ? g.coordinates : [];
+  for (const line of lines) {
+    const seg = { line: line.map(([lon, lat]) => [round(lon), round(lat)]) };
+    const from = Number(f.properties[fromField]);
+    const to = Number(f.properties[toField]);
+    if (Number.isFinite(from) && Number.isFinite(to) && (from || to)) Object.assign(seg, { from, to });
+    (streets[name] ||= []).push(seg);
+    count++;
+  }
+}
+
+fs.writeFileSync(out, JSON.stringify(data));
+console.log(`added ${count} segments for ${city} -> ${out}`);
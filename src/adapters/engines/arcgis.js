@@ -0,0 +1,35 @@
+const { sourceUrl, fetchJson, buildPayload } = require("./common");
+
+/**
+ * ArcGIS FeatureServer / MapServer query endpoints, either `f=geojson`
+ * (features[].properties + Point geometry) or Esri JSON (features[].attributes + {x, y}).
+ * Layers without geometry (dispatch tables) are geocoded from their address fields.
+ */
+
+function coordsOf(f) {
+  const g = f?.geometry;
+  if (g?.type === "Point" && Array.isArray(g.coordinates)) {
+    return { lon: Number(g.coordinates[0]), lat: Number(g.coordinates[1]) };
+  }
+  if (g && g.x != null && g.y != null) return { lon: Number(g.x), lat: Number(g.y) };
+  return {};
+}
+
+function createArcgisAdapter(def) {
+  return {
+    name: def.name,
+
+    async fetchCity(city) {
+      const json = await fetchJson(def, sourceUrl(def));
+      const features = Array.isArray(json?.features) ? json.features : [];
+
+      const items = features.map((f) => ({
+        record: f?.properties || f?.attributes || {},
+        ...coordsOf(f),
+      }));
+      return buildPayload(def, city, items);
+    },
+  };
+}
+
+module.exports = { createArcgisAdapter };
@@ -0,0 +1,253 @@
+const { upstream } = require("../../services/upstream");
+const { geocode, normalizeAddress } = require("../../services/geocode");
+const { haversineMiles } = require("../../lib/geo");
+const { classify } = require("../../lib/taxonomy");
+const { mapWithConcurrency } = require("../../lib/concurrency");
+const { toISO, toLocalISO } = require("../../lib/time");
+const { namespacedId, hashedId, dedupeIds } = require("../../lib/ids");
+const { PlaceSchema } = require("../../lib/placeSchema");
+const { titleCase, normalizeIntersection, prettifyStreet, withCityState } = require("../../lib/address");
+
+/**
+ * The part of every adapter that isn't about the wire format: field mapping,
+ * display addresses, geocoding, classification and the final `place` shape.
+ * Engines (arcgis, socrata, kml) fetch + parse, then hand items of
+ * { record, lat?, lon? } to buildPayload() along with the city definition.
+ *
+ * Every payload carries a `quality` report of what happened to the raw rows;
+ * cityData keeps it apart from the cached places (see services/quality.js).
+ */
+
+// First non-empty value of `record` among `fields` (a name, a list of names, or a function).
+function pickField(record, fields) {
+  if (typeof fields === "function") return fields(record);
+  for (const f of [].concat(fields || [])) {
+    const v = record?.[f];
+    if (v == null) continue;
+    if (typeof v === "string") {
+      if (!v.trim()) continue;
+      return v.trim();
+    }
+    return v;
+  }
+  return undefined;
+}
+
+function sourceUrl(def) {
+  const url = process.env[def.url.env] || def.url.default;
+  if (!url) throw new Error(`${def.url.env} is not set`);
+  return url;
+}
+
+// Feed body via the shared upstream client (timeouts, retries, breaker keyed by source name).
+function fetchText(def, url, { headers } = {}) {
+  return upstream.fetchText(def.name, url, { headers });
+}
+
+function fetchJson(def, url, { headers } = {}) {
+  return upstream.fetchJson(def.name, url, { headers });
+}
+
+function hasCoords(r) {
+  return Number.isFinite(r.lat) && Number.isFinite(r.lon);
+}
+
+// Printable address. With `address.city` fields the feed's own city name is used
+// (unless it's missing or listed in `ignoreCities`); otherwise the definition's city/state
+// is appended when the street doesn't already name it.
+function displayAddress(def, record) {
+  const a = def.address || {};
+  const { city, state } = def.cityState;
+  const raw = pickField(record, a.street);
+  const street =
+    a.style === "titleCase" ? titleCase(normalizeIntersection(raw)) :
+    a.style === "street" ? prettifyStreet(String(raw || "")) :
+    raw ? String(raw) : "";
+
+  if (a.city) {
+    const feedCity = String(pickField(record, a.city) || "").trim();
+    const shown = !feedCity || (a.ignoreCities || []).includes(feedCity.toUpperCase()) ? city : titleCase(feedCity);
+    return street ? `${street}, ${shown}, ${state}` : `${shown}, ${state}`;
+  }
+  if (!street) return a.fallbackToCity ? `${city}, ${state}` : undefined;
+  return withCityState(street, def.cityState);
+}
+
+// Force ", City, ST" onto an address (replacing a different city before the state).
+function forceCity(address, { city, state }) {
+  const s = String(address || "");
+  const tail = new RegExp(`, [^,]+, ${state}$`, "i");
+  if (tail.test(s)) return s.replace(tail, `, ${city}, ${state}`);
+  if (new RegExp(`${state}$`, "i").test(s)) return s;
+  return `${s}, ${city}, ${state}`;
+}
+
+// Stable id: the feed's own id, else a hash of the definition's `idParts(row)` or, by
+// default, type + address + received time (taken before geocoding can rewrite the address).
+function stableId(def, r) {
+  if (r.id != null && r.id !== "") return namespacedId(def.name, r.id);
+  const parts = def.idParts ? def.idParts(r) : [r.typeCode ?? r.typeName ?? r.name, r.address, r.callTimeReceived];
+  return hashedId(def.name, parts);
+}
+
+function mapRecord(def, item) {
+  const { record } = item;
+  const f = def.fields || {};
+  const typeName = pickField(record, f.typeName);
+  const sourceCategory = pickField(record, f.category);
+  const row = {
+    record,
+    lat: item.lat,
+    lon: item.lon,
+    id: pickField(record, f.id),
+    name: String(pickField(record, f.name) ?? sourceCategory ?? typeName ?? "Incident"),
+    typeCode: pickField(record, f.typeCode),
+    typeName,
+    sourceCategory,
+    address: displayAddress(def, record),
+    // zone-less source times are wall-clock time in the city's zone
+    callTimeReceived: toISO(pickField(record, f.callTime), def.timezone),
+    updatedAt: toISO(pickField(record, f.updatedAt), def.timezone),
+  };
+  row.id = stableId(def, row);
+  return row;
+}
+
+// Geocode rows without coordinates, once per distinct address. With `maxMilesFromCenter`,
+// results that land too far away are retried with the city forced onto the address.
+// Failed addresses map to null.
+async function geocodeMissing(def, rows) {
+  const opts = def.geocode;
+  const results = new Map();
+  if (!opts) return results;
+
+  const unique = new Map();
+  for (const r of rows) {
+    if (hasCoords(r) || !r.address) continue;
+    const norm = normalizeAddress(r.address);
+    if (norm && !unique.has(norm)) unique.set(norm, r.address);
+  }
+
+  await mapWithConcurrency([...unique.keys()], opts.concurrency || 5, async (norm) => {
+    const original = unique.get(norm);
+    try {
+      let g = await geocode(original);
+      if (opts.maxMilesFromCenter && haversineMiles(g, def.center) > opts.maxMilesFromCenter) {
+        const g2 = await geocode(forceCity(original, def.cityState));
+        if (haversineMiles(g2, def.center) <= opts.maxMilesFromCenter) g = g2;
+      }
+      results.set(norm, g);
+    } catch {
+      results.set(norm, null); // leave the row without coordinates
+    }
+  });
+  return results;
+}
+
+function mapExtras(def, r) {
+  const extras = {};
+  for (const [key, spec] of Object.entries(def.extras || {})) {
+    extras[key] = typeof spec === "function" ? spec(r.record, r) : pickField(r.record, spec);
+  }
+  if (r.sourceCategory !== undefined) extras.sourceCategory = String(r.sourceCategory);
+  return extras;
+}
+
+const SAMPLES_PER_REASON = 5;
+
+function createQualityReport(rawRows) {
+  const report = {
+    rawRows,
+    places: 0,
+    geocode: { attempted: 0, failed: 0 },
+    missingTimestamps: 0,
+    schemaViolations: 0,
+    dropped: { total: 0, reasons: {} },
+    rejectedSamples: [],
+  };
+  return {
+    report,
+    reject(reason, record, detail) {
+      report.dropped.total++;
+      const n = (report.dropped.reasons[reason] || 0) + 1;
+      report.dropped.reasons[reason] = n;
+      if (n <= SAMPLES_PER_REASON) report.rejectedSamples.push({ reason, ...(detail ? { detail } : {}), record });
+    },
+  };
+}
+
+// Why a row still has no coordinates.
+function missingCoordsReason(def, r, geo) {
+  if (!r.address) return "no-coordinates-or-address";
+  if (!def.geocode) return "no-coordinates";
+  return geo.get(normalizeAddress(r.address)) === null ? "geocode-failed" : "no-coordinates";
+}
+
+function schemaIssues(error) {
+  return error.issues.slice(0, 3).map((i) => `${i.path.join(".") || "place"}: ${i.message}`).join("; ");
+}
+
+/** Map, geocode and classify engine items into the standard city payload. */
+async function buildPayload(def, city, items) {
+  const rows = items.map((item) => mapRecord(def, item));
+  const geo = await geocodeMissing(def, rows);
+  const { report, reject } = createQualityReport(rows.length);
+  report.geocode.attempted = geo.size;
+  report.geocode.failed = [...geo.values()].filter((g) => g === null).length;
+
+  const places = [];
+  for (const r of rows) {
+    if (!r.callTimeReceived) report.missingTimestamps++;
+    if (!hasCoords(r) && r.address) {
+      const g = geo.get(normalizeAddress(r.address));
+      if (g) {
+        r.lat = g.lat;
+        r.lon = g.lon;
+        if (def.geocode?.useFormattedAddress && g.formatted) r.address = g.formatted;
+      }
+    }
+    if (!hasCoords(r)) {
+      reject(missingCoordsReason(def, r, geo), r.record);
+      continue;
+    }
+
+    const { category, subcategory } = classify({
+      source: def.name,
+      code: r.typeCode,
+      name: [r.typeName || r.name, r.sourceCategory].filter(Boolean).join(" "),
+    });
+
+    const place = {
+      id: r.id,
+      name: r.name,
+      category,
+      subcategory,
+      lat: Number(r.lat),
+      lon: Number(r.lon),
+      address: r.address,
+      callTimeReceived: r.callTimeReceived,
+      callTimeReceivedLocal: toLocalISO(r.callTimeReceived, def.timezone),
+      updatedAt: r.updatedAt,
+      extras: mapExtras(def, r),
+    };
+
+    const checked = PlaceSchema.safeParse(place);
+    if (!checked.success) {
+      report.schemaViolations++;
+      reject("schema-violation", r.record, schemaIssues(checked.error));
+      continue;
+    }
+    places.push(place);
+  }
+  report.places = places.length;
+
+  return {
+    city: String(city || def.slug).toLowerCase(),
+    source: def.name,
+    fetchedAt: new Date().toISOString(),
+    places: dedupeIds(places),
+    quality: report,
+  };
+}
+
+module.exports = { pickField, sourceUrl, fetchText, fetchJson, buildPayload };
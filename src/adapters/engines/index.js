@@ -0,0 +1,18 @@
+const { createArcgisAdapter } = require("./arcgis");
+const { createSocrataAdapter } = require("./socrata");
+const { createKmlAdapter } = require("./kml");
+
+const ENGINES = {
+  arcgis: createArcgisAdapter,
+  socrata: createSocrataAdapter,
+  kml: createKmlAdapter,
+};
+
+/** Build an adapter ({ name, fetchCity }) from a city definition in src/cities. */
+function createAdapter(def) {
+  const make = ENGINES[def.engine];
+  if (!make) throw new Error(`Unknown adapter engine "${def.engine}" for ${def.slug}`);
+  return make(def);
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,186 @@
+const { XMLParser } = require("fast-xml-parser");
+const cheerio = require("cheerio");
+const { sourceUrl, fetchText, buildPayload } = require("./common");
+
+/**
+ * KML incident feeds ("<TYPE> at <ADDRESS> [Agency #ID]" placemarks with a timestamp in
+ * the description), with JSON and HTML-table fallbacks for feeds that switch format.
+ *
+ * Every parser yields records of one shape for the definition's field mapping:
+ *   { id, name, category, address, time, typeCode, typeName, incidentId, priority }
+ *
+ * def.kml.trimAddress: optional RegExp removed from addresses (e.g. a truncated city suffix).
+ */
+
+function stripHtml(s = "") {
+  return String(s).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function parseDescription(descRaw = "", { trimAddress } = {}) {
+  const desc = stripHtml(descRaw);
+
+  // Extract the address substring after " at "
+  const atIdx = desc.toLowerCase().indexOf(" at ");
+  let addrPart = atIdx >= 0 ? desc.slice(atIdx + 4) : desc;
+
+  // Remove any inline timestamp if it appears on the same line as the address
+  const TS_INLINE =
+    /\b(?:Sun|Mon|Tue|Tues|Wed|Thu|Thur|Thurs|Fri|Sat)(?:day)?,\s+[A-Za-z]+\s+\d{1,2},\s+\d{4}\s+\d{1,2}:\d{2}\s+(?:AM|PM)\b/i;
+  addrPart = addrPart.replace(TS_INLINE, "").trim();
+
+  // Extract and remove the bracketed incident id, e.g. "[Portland Police #PP25000223544]"
+  let incidentId;
+  addrPart = addrPart.replace(/\[[^\]#]*#([A-Za-z0-9-]+)\]/, (_, id) => {
+    incidentId = id;
+    return "";
+  }).trim();
+
+  // Normalize address punctuation
+  addrPart = addrPart.replace(/\s{2,}/g, " ").replace(/\s*,\s*/g, ", ");
+  if (trimAddress) addrPart = addrPart.replace(trimAddress, "");
+  addrPart = addrPart
+    .replace(/,\s*(?:,)+/g, ",")
+    .replace(/^,|,$/g, "")
+    .trim();
+
+  // Find the timestamp anywhere in the full description; it's local wall-clock time,
+  // converted with the city's time zone by the shared pipeline (lib/time).
+  const TS_ANYWHERE =
+    /\b(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday),\s+[A-Za-z]+\s+\d{1,2},\s+\d{4}\s+\d{1,2}:\d{2}\s+(?:AM|PM)\b/i;
+  const time = desc.match(TS_ANYWHERE)?.[0]; // e.g., "Sunday, August 17, 2025 4:20 PM"
+
+  return { address: addrPart, incidentId, time };
+}
+
+// KML parsing (primary)
+function parseKML(text, opts) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    textNodeName: "text",
+  });
+  const kml = parser.parse(text);
+  const doc = kml?.kml?.Document || kml?.Document || kml?.kml;
+  const placemarks = Array.isArray(doc?.Placemark) ? doc.Placemark : (doc?.Placemark ? [doc.Placemark] : []);
+
+  return placemarks.map(pm => {
+    const title = pm?.name || pm?.Name || "Incident";
+    const description = String(pm?.description || "");
+
+    // Coordinates: <Point><coordinates>lon,lat[,alt]</coordinates></Point>
+    const coordText = pm?.Point?.coordinates || pm?.coordinates || "";
+    const [lonStr, latStr] = String(coordText).split(",").map(s => s && s.trim());
+    const lat = latStr ? Number(latStr) : undefined;
+    const lon = lonStr ? Number(lonStr) : undefined;
+
+    // Incident name is before " at " in title (common pattern)
+    const name = String(title).split(" at ")[0].trim();
+    const { address, incidentId, time } = parseDescription(description, opts);
+
+    return {
+      record: {
+        id: pm?.id,
+        name: name || "Incident",
+        address: address || undefined,
+        time: time ?? pm?.TimeStamp?.when,
+        typeName: name || undefined,
+        incidentId,
+      },
+      lat: Number.isFinite(lat) ? lat : undefined,
+      lon: Number.isFinite(lon) ? lon : undefined,
+    };
+  });
+}
+
+// JSON parsing (fallback)
+function parseJSONVariant(json) {
+  const rows =
+    Array.isArray(json) ? json :
+    Array.isArray(json?.incidents) ? json.incidents :
+    Array.isArray(json?.features) ? json.features.map(f => ({ ...(f.properties || {}), ...f })) :
+    [];
+
+  return rows.map(r => {
+    const typeName = r.IncidentTypeName ?? r.type_name ?? r.type ?? r.CallType ?? r.description ?? r.Description;
+    const lat = r.lat ?? r.latitude ?? (r.geometry && r.geometry.coordinates && r.geometry.coordinates[1]);
+    const lon = r.lon ?? r.longitude ?? (r.geometry && r.geometry.coordinates && r.geometry.coordinates[0]);
+
+    return {
+      record: {
+        id: r.id ?? r.objectid ?? r.OBJECTID ?? r.GlobalID ?? r.GLOBALID ?? r.callid ?? r.CallID,
+        name: typeName || "Incident",
+        category: r.Category ?? r.category,
+        address: r.Address ?? r.address ?? r.Location ?? r.location ?? r.addr_full,
+        time: r.updatedAt ?? r.LastUpdate ?? r.time ?? r.datetime ?? r.LastUpdated ?? r.CreationDate,
+        typeCode: r.IncidentTypeCode ?? r.type_code ?? r.code ?? r.CallTypeCode,
+        typeName,
+        priority: r.Priority ?? r.priority,
+      },
+      lat: Number(lat),
+      lon: Number(lon),
+    };
+  });
+}
+
+// HTML table parsing (last resort)
+function parseHTMLTable(text) {
+  const $ = cheerio.load(text);
+  const table = $("table").first();
+  if (!table.length) return [];
+
+  const headers = table.find("tr").first().find("th,td").map((i, el) => $(el).text().trim().toLowerCase()).get();
+  const idxProblem = headers.findIndex(h => /problem|type|incident/.test(h));
+  const idxAddress = headers.findIndex(h => /address|location/.test(h));
+  const idxTime = headers.findIndex(h => /received|time|datetime|updated/.test(h));
+
+  const rows = [];
+  table.find("tr").slice(1).each((_, tr) => {
+    const tds = $(tr).find("td");
+    if (!tds.length) return;
+
+    const get = (idx) => idx >= 0 && idx < tds.length ? $(tds[idx]).text().trim() : undefined;
+    const name = get(idxProblem) || "Incident";
+
+    let lat, lon;
+    $(tds).find("a[href*='google.'], a[href*='maps']").each((__, a) => {
+      const href = $(a).attr("href") || "";
+      const qMatch = href.match(/[?&]q=(-?\d+(\.\d+)?),\s*(-?\d+(\.\d+)?)/);
+      const d3Match = href.match(/!3d(-?\d+(\.\d+)?)!4d(-?\d+(\.\d+)?)/);
+      if (qMatch) { lat = Number(qMatch[1]); lon = Number(qMatch[3]); }
+      else if (d3Match) { lat = Number(d3Match[1]); lon = Number(d3Match[3]); }
+    });
+
+    rows.push({
+      record: { name, address: get(idxAddress), time: get(idxTime), typeName: name },
+      lat: Number.isFinite(lat) ? lat : undefined,
+      lon: Number.isFinite(lon) ? lon : undefined,
+    });
+  });
+
+  return rows;
+}
+
+function createKmlAdapter(def) {
+  return {
+    name: def.name,
+
+    async fetchCity(city) {
+      const text = await fetchText(def, sourceUrl(def)); // read once
+
+      let items = [];
+      if (/\<kml[\s>]/i.test(text)) {
+        items = parseKML(text, def.kml);
+      } else {
+        // Try JSON, then HTML as fallback
+        try {
+          items = parseJSONVariant(JSON.parse(text));
+        } catch {
+          if (/\<html[\s>]/i.test(text)) items = parseHTMLTable(text);
+        }
+      }
+      return buildPayload(def, city, items);
+    },
+  };
+}
+
+module.exports = { createKmlAdapter, parseDescription, parseKML };
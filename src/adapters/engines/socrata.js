@@ -0,0 +1,72 @@
+const { UpstreamError } = require("../../services/upstream");
+const { sourceUrl, fetchJson, buildPayload } = require("./common");
+
+/**
+ * Socrata SODA datasets (…/resource/<id>.json). `def.socrata.query` holds SoQL
+ * parameters ($order, $limit, …; values may be functions read at fetch time) and
+ * `def.socrata.appTokenEnv` names the env var with an optional X-App-Token.
+ */
+
+// Return {lat, lon} from the usual Socrata location shapes (no geocoding).
+function extractCoords(row) {
+  // Top-level latitude/longitude (some Socrata tables use these)
+  let lat = Number(row.latitude);
+  let lon = Number(row.longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+
+  // GeoJSON containers: intersection_point, location, geometry, etc.
+  const candidates = [row.intersection_point, row.location, row.point, row.location_1, row.geom, row.geometry];
+  for (const loc of candidates) {
+    if (!loc) continue;
+    // GeoJSON { type: "Point", coordinates: [lon, lat] }
+    if (typeof loc === "object" && Array.isArray(loc.coordinates) && loc.coordinates.length >= 2) {
+      const lon2 = Number(loc.coordinates[0]);
+      const lat2 = Number(loc.coordinates[1]);
+      if (Number.isFinite(lat2) && Number.isFinite(lon2)) return { lat: lat2, lon: lon2 };
+    }
+    // { latitude, longitude }
+    const lat3 = Number(loc.latitude);
+    const lon3 = Number(loc.longitude);
+    if (Number.isFinite(lat3) && Number.isFinite(lon3)) return { lat: lat3, lon: lon3 };
+    // WKT string "POINT (lon lat)"
+    if (typeof loc === "string") {
+      const m = loc.match(/POINT\s*\(\s*(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)\s*\)/i);
+      if (m) {
+        const lon4 = Number(m[1]);
+        const lat4 = Number(m[2]);
+        if (Number.isFinite(lat4) && Number.isFinite(lon4)) return { lat: lat4, lon: lon4 };
+      }
+    }
+  }
+
+  return { lat: undefined, lon: undefined };
+}
+
+function createSocrataAdapter(def) {
+  const opts = def.socrata || {};
+
+  return {
+    name: def.name,
+
+    async fetchCity(city) {
+      const url = new URL(sourceUrl(def));
+      for (const [k, v] of Object.entries(opts.query || {})) {
+        url.searchParams.set(k, String(typeof v === "function" ? v() : v));
+      }
+
+      const headers = {};
+      const token = opts.appTokenEnv && process.env[opts.appTokenEnv];
+      if (token) headers["X-App-Token"] = token;
+
+      // A bad body is a 502, so the cached payload is kept rather than replaced by nothing
+      const rows = await fetchJson(def, url.toString(), { headers });
+      if (!Array.isArray(rows)) {
+        throw new UpstreamError(502, "UPSTREAM_BAD_RESPONSE", def.name, `${def.name} returned JSON that is not a row array`);
+      }
+
+      return buildPayload(def, city, rows.map((r) => ({ record: r, ...extractCoords(r) })));
+    },
+  };
+}
+
+module.exports = { createSocrataAdapter };
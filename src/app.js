@@ -0,0 +1,60 @@
+const Fastify = require("fastify");
+const websocket = require("@fastify/websocket");
+const { errorHandler, safeUrl } = require("./lib/errors");
+const { healthRoutes } = require("./routes/health");
+const { metricsRoutes } = require("./routes/metrics");
+const { citiesRoutes } = require("./routes/cities");
+const { cityRoutes } = require("./routes/city");
+const { streamRoutes } = require("./routes/stream");
+const { nearbyRoutes } = require("./routes/nearby");
+const { placesRoutes } = require("./routes/places");
+const { keyRoutes, apiKeyHook } = require("./routes/keys");
+const { webhookRoutes } = require("./routes/webhooks");
+const { apiKeys: defaultApiKeys } = require("./services/apiKeys");
+const { webhooks: defaultWebhooks } = require("./services/webhooks");
+const { setCacheLogger } = require("./services/cache");
+
+// Fastify's default request serializer, minus any ?apiKey= secret in the URL.
+const serializers = {
+  req: (req) => ({
+    method: req.method,
+    url: safeUrl(req.url),
+    host: req.host,
+    remoteAddress: req.ip,
+    remotePort: req.socket?.remotePort,
+  }),
+};
+
+/**
+ * The Fastify app with every route registered (not listening); used by server.js and tests.
+ * `apiKeys` and `webhooks` swap the key store and the webhook service; the rest goes to Fastify.
+ */
+function buildApp({ apiKeys = defaultApiKeys, webhooks = defaultWebhooks, ...opts } = {}) {
+  if (opts.logger) {
+    const logger = opts.logger === true ? {} : opts.logger;
+    opts.logger = { ...logger, serializers: { ...serializers, ...logger.serializers } };
+  }
+  const app = Fastify(opts);
+  setCacheLogger(app.log);
+
+  app.setErrorHandler(errorHandler);
+  app.addHook("onRequest", apiKeyHook(apiKeys));
+  app.register(websocket);
+  app.register(healthRoutes);
+  app.register(metricsRoutes);
+  app.register(citiesRoutes);
+  app.register(cityRoutes);
+  app.register(streamRoutes);
+  app.register(nearbyRoutes);
+  app.register(placesRoutes);
+  app.register(keyRoutes, { apiKeys });
+  app.register(webhookRoutes, { webhooks, apiKeys });
+
+  // webhook deliveries follow the change feed while the app is up
+  app.addHook("onReady", async () => webhooks.start({ log: app.log }));
+  app.addHook("onClose", async () => webhooks.stop());
+
+  return app;
+}
+
+module.exports = { buildApp };
@@ -0,0 +1,10 @@
+/**
+ * Supported cities. Each definition drives a generic adapter engine
+ * (src/adapters/engines): where to fetch, how to map fields, and where the city is.
+ * Adding a city is a new file here plus an entry in this list.
+ */
+module.exports = [
+  require("./nashville"),
+  require("./pdx"),
+  require("./sf"),
+];
@@ -0,0 +1,40 @@
+const { formatTypeName } = require("../lib/address");
+
+// Metro Nashville Police Department – active dispatch (ArcGIS table view, f=geojson, no geometry).
+module.exports = {
+  slug: "nashville",
+  aliases: [],
+  name: "nashvilleMNPD",
+  engine: "arcgis",
+  displayName: "Nashville, TN",
+  agency: "Metro Nashville Police Department",
+  attribution: { text: "Metro Nashville Police Department Active Dispatch, Nashville Open Data", url: "https://data.nashville.gov/" },
+  url: { env: "NASHVILLE_URL" },
+  timezone: "America/Chicago",
+  cityState: { city: "Nashville", state: "TN" },
+  center: { lat: 36.1627, lon: -86.7816 },
+  bounds: { minLat: 35.96, maxLat: 36.41, minLon: -87.06, maxLon: -86.51 },
+
+  fields: {
+    id: ["GlobalID", "GLOBALID", "OBJECTID", "objectid", "IncidentNumber", "Incident_No", "CallID", "id"],
+    name: ["Headline", "Title"],
+    category: ["IncidentDescription", "CALL_TYPE", "Event_Type", "CallType", "Description", "TYPE"],
+    typeCode: ["IncidentTypeCode"],
+    typeName: ["IncidentTypeName"],
+    callTime: ["CallReceivedTime", "call_received", "Call_Received", "datetime"],
+    updatedAt: ["LastUpdated", "LastUpdate", "UpdatedAt"],
+  },
+  address: {
+    street: ["Address", "ADDRESS", "Location", "LOCATION", "addr_full", "Street", "STREET"],
+    city: ["CityName", "city", "CITYNAME"],
+    // The feed sometimes puts a directional precinct where the city goes.
+    ignoreCities: ["EAST", "WEST", "NORTH", "SOUTH", "CENTRAL", "MIDTOWN", "DOWNTOWN"],
+    style: "titleCase",
+  },
+  // Retry geocodes that land more than 40 miles out with ", Nashville, TN" forced on.
+  geocode: { concurrency: 5, maxMilesFromCenter: 40 },
+  extras: {
+    incidentTypeCode: "IncidentTypeCode",
+    incidentTypeName: (rec) => formatTypeName(rec.IncidentTypeName),
+  },
+};
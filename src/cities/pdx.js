@@ -0,0 +1,34 @@
+// Portland Police Bureau / BOEC – 911 incidents KML feed.
+module.exports = {
+  slug: "pdx",
+  aliases: ["portland"],
+  name: "pdx",
+  engine: "kml",
+  displayName: "Portland, OR",
+  agency: "Portland Police Bureau",
+  attribution: { text: "City of Portland 911 Incidents, PortlandMaps", url: "https://www.portlandmaps.com/" },
+  url: { env: "PORTLAND_URL" },
+  timezone: "America/Los_Angeles",
+  cityState: { city: "Portland", state: "OR" },
+  center: { lat: 45.5152, lon: -122.6784 },
+  bounds: { minLat: 45.43, maxLat: 45.73, minLon: -122.93, maxLon: -122.25 },
+
+  // Addresses end in a truncated ", PORT"
+  kml: { trimAddress: /,\s*PORT(?:LAND)?\b\.?/i },
+  fields: {
+    // "[Portland Police #PP25000223544]" in the description; placemark id otherwise
+    id: ["incidentId", "id"],
+    name: ["name"],
+    category: ["category"],
+    typeCode: ["typeCode"],
+    typeName: ["typeName"],
+    callTime: ["time"],
+  },
+  address: { street: ["address"] },
+  geocode: { concurrency: 5, useFormattedAddress: true },
+  extras: {
+    incidentTypeCode: "typeCode",
+    incidentTypeName: ["typeName", "name"],
+    incidentId: "incidentId",
+  },
+};
@@ -0,0 +1,47 @@
+// San Francisco – Law Enforcement Dispatched Calls for Service (Real-Time), Socrata.
+module.exports = {
+  slug: "sf",
+  aliases: ["san-francisco", "sanfrancisco"],
+  name: "sf",
+  engine: "socrata",
+  displayName: "San Francisco, CA",
+  agency: "San Francisco Police Department",
+  attribution: { text: "DataSF, Law Enforcement Dispatched Calls for Service: Real-Time", url: "https://data.sfgov.org/d/gnap-fj3t" },
+  url: { env: "SF_DATASET_URL", default: "https://data.sfgov.org/resource/gnap-fj3t.json" },
+  timezone: "America/Los_Angeles",
+  cityState: { city: "San Francisco", state: "CA" },
+  center: { lat: 37.7749, lon: -122.4194 },
+  bounds: { minLat: 37.70, maxLat: 37.84, minLon: -122.52, maxLon: -122.35 },
+
+  socrata: {
+    query: {
+      $order: "received_datetime DESC",
+      $limit: () => Number(process.env.SF_LIMIT || 1000),
+    },
+    appTokenEnv: "SF_SODA_APP_TOKEN",
+  },
+  fields: {
+    id: ["cad_number", "cadnumber", "event_number", "id"],
+    typeCode: ["call_type_final", "call_type_original"],
+    typeName: ["call_type_final_desc", "call_type_original_desc", "call_type", "incident_type_description", "description", "problem_type"],
+    // prefer the row's own "call_last_updated_at" if present
+    callTime: ["call_last_updated_at", "received_datetime", "entry_datetime", "updated_datetime", "dispatch_datetime"],
+  },
+  // Rows come with coordinates; no geocoding (rows without them are skipped).
+  address: { street: ["address", "intersection_name", "intersection", "location_text"], style: "street", fallbackToCity: true },
+  // Rows without a CAD number: hash on received (not last-updated) time so the id survives updates.
+  idParts: (r) => [r.typeCode ?? r.typeName, r.record.received_datetime ?? r.callTimeReceived, r.address],
+  extras: {
+    cadNumber: ["cad_number", "cadnumber", "event_number", "id"],
+    priority: ["priority_final", "priority_original", "priority", "priority_level"],
+    incidentTypeName: (rec, r) => r.typeName,
+    callTypeFinal: "call_type_final_desc",
+    callTypeOriginal: "call_type_original_desc",
+    callTypeOriginalCode: "call_type_original",
+    disposition: ["disposition", "call_disposition"],
+    neighborhood: ["analysis_neighborhood", "neighborhood_district"],
+    policeDistrict: "police_district",
+    supervisorDistrict: "supervisor_district",
+    source: ["agency", "source"],
+  },
+};
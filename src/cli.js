@@ -0,0 +1,163 @@
+const path = require("path");
+const { parseArgs } = require("util");
+const { pathToFileURL } = require("url");
+const { resolveCity } = require("./providers");
+const { createAdapter } = require("./adapters/engines");
+const { toGeoJSON } = require("./lib/formats");
+const { metrics } = require("./services/metrics");
+
+/**
+ * `activedispatch` command line (bin/activedispatch.js). Runs a city's adapter outside
+ * the server and prints the normalized places; diagnostics from the quality report go
+ * to stderr so stdout can be piped.
+ *
+ *   activedispatch fetch <city> [--input file] [--format json|table|geojson] [--no-geocode]
+ */
+
+const USAGE = `usage: activedispatch fetch <city> [options]
+
+Runs the city's adapter and prints the normalized places (stdout) and
+diagnostics (stderr): rows parsed, rows dropped and why, geocode lookups.
+
+options:
+  --input <file>     parse a saved raw feed (KML/JSON/HTML) instead of fetching it
+  --format <f>       json (default), table or geojson
+  --no-geocode       don't geocode rows without coordinates (they are dropped)
+  --quiet            no diagnostics
+  -h, --help         show this help
+`;
+
+const FORMATS = ["json", "table", "geojson"];
+
+function parse(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      input: { type: "string" },
+      format: { type: "string", default: "json" },
+      "no-geocode": { type: "boolean", default: false },
+      quiet: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) return { help: true };
+
+  const [command, city, ...rest] = positionals;
+  if (command !== "fetch") throw new Error(command ? `unknown command "${command}"` : "missing command");
+  if (!city) throw new Error("missing <city>");
+  if (rest.length) throw new Error(`unexpected argument "${rest[0]}"`);
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+  return { command, city, input: values.input, format: values.format, geocode: !values["no-geocode"], quiet: values.quiet };
+}
+
+// Geocoder activity since `before` (prom-client snapshots), by provider/outcome and cache result.
+async function geocodeActivity(before) {
+  const [calls, cache] = await Promise.all([metrics.geocoderCalls.get(), metrics.geocodeCache.get()]);
+  const delta = (metric, prev, label) => {
+    const out = {};
+    for (const v of metric.values) {
+      const key = label(v.labels);
+      const was = prev.values.find((p) => label(p.labels) === key)?.value || 0;
+      if (v.value - was) out[key] = v.value - was;
+    }
+    return out;
+  };
+  return {
+    providers: delta(calls, before.calls, (l) => `${l.provider} ${l.outcome}`),
+    cache: delta(cache, before.cache, (l) => l.result),
+  };
+}
+
+function cell(v, width) {
+  const s = v == null ? "" : String(v);
+  return s.length > width ? `${s.slice(0, width - 1)}…` : s.padEnd(width);
+}
+
+function toTable(places) {
+  const cols = [
+    ["id", 28, (p) => p.id],
+    ["time", 25, (p) => p.callTimeReceivedLocal],
+    ["category", 10, (p) => p.category],
+    ["name", 28, (p) => p.name],
+    ["address", 40, (p) => p.address],
+    ["lat,lon", 20, (p) => `${p.lat.toFixed(5)},${p.lon.toFixed(5)}`],
+  ];
+  const lines = [cols.map(([h, w]) => cell(h, w)).join(" ")];
+  for (const p of places) lines.push(cols.map(([, w, get]) => cell(get(p), w)).join(" "));
+  return lines.map((l) => l.trimEnd()).join("\n") + "\n";
+}
+
+function diagnostics({ def, input, geocode, quality, activity, ms }) {
+  const q = quality;
+  const lines = [
+    `${def.slug} (${def.name}, ${def.engine}) from ${input || "live feed"} in ${ms} ms`,
+    `rows parsed: ${q.rawRows}  places: ${q.places}  dropped: ${q.dropped.total}` +
+      `  missing timestamps: ${q.missingTimestamps}  schema violations: ${q.schemaViolations}`,
+  ];
+  for (const [reason, n] of Object.entries(q.dropped.reasons)) lines.push(`  dropped ${reason}: ${n}`);
+
+  if (!geocode) lines.push("geocoding: off (--no-geocode)");
+  else if (!def.geocode) lines.push("geocoding: not used by this city");
+  else {
+    lines.push(`geocode lookups: ${q.geocode.attempted} distinct addresses, ${q.geocode.failed} failed`);
+    const calls = Object.entries(activity.providers).map(([k, n]) => `${k}=${n}`).join(" ");
+    const cache = Object.entries(activity.cache).map(([k, n]) => `${k}=${n}`).join(" ");
+    if (cache) lines.push(`  cache: ${cache}`);
+    if (calls) lines.push(`  providers: ${calls}`);
+  }
+
+  if (q.rejectedSamples.length) {
+    lines.push("rejected samples:");
+    for (const s of q.rejectedSamples) {
+      lines.push(`  [${s.reason}]${s.detail ? ` ${s.detail}` : ""} ${JSON.stringify(s.record)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function fetchCommand(opts, { stdout, stderr }) {
+  let def = resolveCity(opts.city);
+  if (opts.input) def = { ...def, url: { default: pathToFileURL(path.resolve(opts.input)).href } };
+  if (!opts.geocode) def = { ...def, geocode: undefined };
+
+  const before = { calls: await metrics.geocoderCalls.get(), cache: await metrics.geocodeCache.get() };
+  const started = Date.now();
+  const { quality, ...payload } = await createAdapter(def).fetchCity(def.slug);
+  const ms = Date.now() - started;
+
+  if (opts.format === "table") stdout.write(toTable(payload.places));
+  else if (opts.format === "geojson") stdout.write(JSON.stringify(toGeoJSON(payload), null, 2) + "\n");
+  else stdout.write(JSON.stringify(payload, null, 2) + "\n");
+
+  if (!opts.quiet) {
+    const activity = await geocodeActivity(before);
+    stderr.write(diagnostics({ def, input: opts.input, geocode: opts.geocode, quality, activity, ms }));
+  }
+  return 0;
+}
+
+/** Run the CLI with `argv` (without node and the script); resolves to the exit code. */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let opts;
+  try {
+    opts = parse(argv);
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    return await fetchCommand(opts, { stdout, stderr });
+  } catch (err) {
+    const extra = err.code === "UNKNOWN_CITY" ? ` (cities: ${err.details.cities.join(", ")})` : "";
+    stderr.write(`error: ${err.message}${extra}\n`);
+    return 1;
+  }
+}
+
+module.exports = { run };
@@ -1,6 +1,99 @@
 require("dotenv").config();
+const path = require("path");
+
+// Where state that should survive a restart lives (history, webhook subscriptions).
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), "data");
 
 module.exports = {
   port: Number(process.env.PORT || 8080),
   logLevel: process.env.LOG_LEVEL || "info",
+  cityTTL: Number(process.env.CITY_TTL_SECONDS || 900),
+  // How long past cityTTL a payload may still be served while it's refreshed (or the feed is down)
+  cityStaleTTL: Number(process.env.CITY_STALE_SECONDS || 24 * 3600),
+
+  // Cache backend for city payloads and geocodes: "memory" (per-process LRU) or "redis"
+  cacheBackend: (process.env.CACHE_BACKEND || "memory").toLowerCase(),
+  redisUrl: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+  cityCacheMaxEntries: Number(process.env.CITY_CACHE_MAX_ENTRIES || 50),
+  geocodeCacheMaxEntries: Number(process.env.GEOCODE_CACHE_MAX_ENTRIES || 50000),
+
+  // API keys: /v1/* needs an X-API-Key once a keys file or admin token is configured
+  // (or API_KEYS_REQUIRED=true). Limits below are the defaults for keys that don't set their own.
+  apiKeys: {
+    file: process.env.API_KEYS_FILE || undefined,
+    adminToken: process.env.ADMIN_TOKEN || undefined,
+    required: process.env.API_KEYS_REQUIRED ? /^(true|1)$/i.test(process.env.API_KEYS_REQUIRED) : undefined,
+    rateLimit: {
+      max: Number(process.env.API_RATE_LIMIT || 120),
+      windowSeconds: Number(process.env.API_RATE_WINDOW_SECONDS || 60),
+    },
+    dailyQuota: Number(process.env.API_DAILY_QUOTA || 10000),
+  },
+
+  // /v1/status and /readyz: a city whose data is older than this is reported stale
+  statusStaleSeconds: Number(process.env.STATUS_STALE_SECONDS || 1800),
+
+  // Outbound HTTP (city feeds, geocoders): per-attempt timeout, retries, per-source circuit breaker
+  upstream: {
+    timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS || 10000),
+    retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+    retryBaseMs: Number(process.env.UPSTREAM_RETRY_BASE_MS || 250),
+    retryMaxMs: Number(process.env.UPSTREAM_RETRY_MAX_MS || 4000),
+    breakerThreshold: Number(process.env.UPSTREAM_BREAKER_THRESHOLD || 5),
+    breakerCooldownMs: Number(process.env.UPSTREAM_BREAKER_COOLDOWN_SECONDS || 30) * 1000,
+  },
+
+  // Upstream data source: "live", "record" (live + save responses) or "replay" (saved responses only)
+  recordings: {
+    mode: (process.env.DATA_SOURCE || "live").toLowerCase(),
+    dir: process.env.RECORDINGS_DIR || path.join(process.cwd(), "recordings"),
+    timeShift: /^(true|1)$/i.test(process.env.REPLAY_TIME_SHIFT || ""),
+    loop: /^(true|1)$/i.test(process.env.REPLAY_LOOP || ""),
+  },
+
+  dataDir,
+
+  // Incident history (append-only JSONL). Set HISTORY_FILE="" to keep it in memory only.
+  historyFile: process.env.HISTORY_FILE ?? path.join(dataDir, "history.jsonl"),
+  historyRetentionHours: Number(process.env.HISTORY_RETENTION_HOURS || 7 * 24),
+
+  // Change feed: events kept per city for /changes cursors
+  changesMaxEvents: Number(process.env.CHANGES_MAX_EVENTS || 5000),
+
+  // Data-quality reports kept per city (one per fetch)
+  qualityReportsKept: Number(process.env.QUALITY_REPORTS_KEPT || 24),
+
+  // Geocoding: providers tried in order (opencage is skipped without a key)
+  geocoderProviders: (process.env.GEOCODER_PROVIDERS || "opencage,gazetteer")
+    .split(",").map((s) => s.trim().toLowerCase()).filter(Boolean),
+  geocodeTTL: Number(process.env.GEOCODE_TTL_SECONDS || 30 * 24 * 3600),
+  // Approximate hits (the offline gazetteer) are cached briefly, so a precise provider
+  // that was down gets asked again soon
+  geocodeApproximateTTL: Number(process.env.GEOCODE_APPROXIMATE_TTL_SECONDS || 3600),
+  opencageKey: process.env.OPENCAGE_KEY,
+  nominatim: {
+    url: process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org/search",
+    userAgent: process.env.NOMINATIM_USER_AGENT || "activedispatch-server",
+    email: process.env.NOMINATIM_EMAIL,
+    minIntervalMs: Number(process.env.NOMINATIM_MIN_INTERVAL_MS || 1000),
+  },
+  gazetteerFile: process.env.GAZETTEER_FILE,
+
+  // Webhook subscriptions. WEBHOOKS_FILE="" keeps subscriptions in memory only; failed
+  // deliveries are appended to WEBHOOK_DEAD_LETTER_FILE ("" to disable).
+  webhooks: {
+    file: process.env.WEBHOOKS_FILE ?? path.join(dataDir, "webhooks.json"),
+    deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE ?? path.join(dataDir, "webhook-dead-letters.jsonl"),
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000),
+    retryMaxMs: Number(process.env.WEBHOOK_RETRY_MAX_MS || 10 * 60 * 1000),
+    allowHttp: /^(true|1)$/i.test(process.env.WEBHOOK_ALLOW_HTTP || ""),
+    allowPrivateHosts: /^(true|1)$/i.test(process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS || ""),
+    maxPerOwner: Number(process.env.WEBHOOK_MAX_PER_KEY || 20),
+  },
+
+  // Live streams: how often watched cities are re-fetched, and the keep-alive cadence
+  streamRefreshSeconds: Number(process.env.STREAM_REFRESH_SECONDS || 60),
+  streamHeartbeatSeconds: Number(process.env.STREAM_HEARTBEAT_SECONDS || 15),
 };
@@ -0,0 +1,84 @@
+// Text and street-address formatting shared by the adapters.
+
+function titleCase(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\b([a-z])([a-z0-9']*)/g, (_, a, rest) => a.toUpperCase() + rest);
+}
+
+// Title-case incident type names, keeping "/", "-" and space delimiters as-is.
+function formatTypeName(raw) {
+  if (!raw) return undefined;
+  return String(raw)
+    .toLowerCase()
+    .split(/([\/\- ]+)/)
+    .map((part) => {
+      if (/^[\/\- ]+$/.test(part)) return part;
+      return part.charAt(0).toUpperCase() + part.slice(1);
+    })
+    .join("")
+    .trim();
+}
+
+// Backslashes -> slash, normalize spacing around slash, collapse spaces
+function normalizeIntersection(s) {
+  return String(s || "")
+    .trim()
+    .replace(/\\+/g, "/")
+    .replace(/\s*\/\s*/g, " / ")
+    .replace(/\s{2,}/g, " ");
+}
+
+// Street-aware title casing: keeps directions upper-case, abbreviations tidy, small words lower.
+const UPPER_DIRECTIONS = new Set(["N","S","E","W","NE","NW","SE","SW"]);
+const TOKEN_MAP = new Map(Object.entries({
+  "st": "St", "street": "Street",
+  "ave": "Ave", "avenue": "Avenue",
+  "blvd": "Blvd", "boulevard": "Boulevard",
+  "rd": "Rd", "road": "Road",
+  "dr": "Dr", "drive": "Drive",
+  "ct": "Ct", "court": "Court",
+  "ln": "Ln", "lane": "Lane",
+  "ter": "Ter", "terrace": "Terrace",
+  "pl": "Pl", "place": "Place",
+  "pkwy": "Pkwy", "parkway": "Parkway",
+  "hwy": "Hwy", "highway": "Highway",
+  "way": "Way"
+}));
+const LOWER_SMALL = new Set(["of","and","the","at","de","la","del"]);
+
+function capFirst(w) { return w ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w; }
+function titleCaseWord(w, idx) {
+  const raw = w, t = w.toLowerCase();
+  if (UPPER_DIRECTIONS.has(raw.toUpperCase())) return raw.toUpperCase();
+  if (TOKEN_MAP.has(t)) return TOKEN_MAP.get(t);
+  if (LOWER_SMALL.has(t) && idx > 0) return t;
+  if (/^o'/.test(t)) return "O'" + capFirst(t.slice(2));
+  if (/^mc[a-z]/.test(t)) return "Mc" + capFirst(t.slice(2));
+  if (raw.includes("-")) return raw.split("-").map((seg,i)=>titleCaseWord(seg,i)).join("-");
+  return capFirst(t);
+}
+function titleCaseStreet(str="") { return str.trim().split(/\s+/).map(titleCaseWord).join(" "); }
+function prettifyStreet(street="") {
+  if (!street) return "";
+  if (!/[\\\/]/.test(street)) return titleCaseStreet(street);
+  return normalizeIntersection(street).split(" / ").map(titleCaseStreet).join(" / ");
+}
+
+const STATE_NAMES = { TN: "tennessee", OR: "oregon", CA: "california", WA: "washington", IL: "illinois", NY: "new york" };
+
+// Append ", City, ST" unless the address already names the city or ends in the state.
+function withCityState(address, { city, state }) {
+  const clean = String(address || "").replace(/\s+,/g, ",").replace(/,\s+,/g, ",").trim();
+  if (!clean) return `${city}, ${state}`;
+  const lower = clean.toLowerCase();
+  const stateName = STATE_NAMES[state.toUpperCase()];
+  if (
+    lower.includes(city.toLowerCase()) ||
+    new RegExp(`,\\s*${state}\\b`, "i").test(clean) ||
+    (stateName && lower.includes(stateName))
+  ) return clean;
+  return `${clean}, ${city}, ${state}`;
+}
+
+module.exports = { titleCase, formatTypeName, normalizeIntersection, prettifyStreet, withCityState };
@@ -0,0 +1,105 @@
+const { parseNumber } = require("./params");
+
+/**
+ * Grid clustering for zoomed-out map views. Places are projected to Web Mercator
+ * pixels at the requested zoom and bucketed into square cells of CELL_PX; a cell
+ * with two or more places becomes a cluster, a lone place is returned as-is.
+ * Above MAX_ZOOM nothing is clustered.
+ */
+
+const TILE_PX = 256;
+const CELL_PX = 64;
+const MAX_ZOOM = 16;
+
+function project(lat, lon, zoom) {
+  const scale = TILE_PX * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+function cellOf(place, zoom, cellPx) {
+  const { x, y } = project(place.lat, place.lon, zoom);
+  return [Math.floor(x / cellPx), Math.floor(y / cellPx)];
+}
+
+// Lowest zoom at which the cluster's places stop sharing one cell.
+function expansionZoom(places, zoom, { cellPx, maxZoom }) {
+  for (let z = zoom + 1; z <= maxZoom; z++) {
+    const [cx, cy] = cellOf(places[0], z, cellPx);
+    if (places.some((p) => { const [x, y] = cellOf(p, z, cellPx); return x !== cx || y !== cy; })) return z;
+  }
+  return maxZoom + 1;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v != null) counts.set(v, (counts.get(v) || 0) + 1);
+  let best;
+  let bestCount = 0;
+  for (const [v, c] of counts) {
+    if (c > bestCount || (c === bestCount && String(v) < String(best))) { best = v; bestCount = c; }
+  }
+  return { value: best, counts: Object.fromEntries(counts) };
+}
+
+function summarize(id, places, zoom, opts) {
+  let lat = 0, lon = 0;
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  for (const p of places) {
+    lat += p.lat;
+    lon += p.lon;
+    minLon = Math.min(minLon, p.lon); maxLon = Math.max(maxLon, p.lon);
+    minLat = Math.min(minLat, p.lat); maxLat = Math.max(maxLat, p.lat);
+  }
+  const category = mostCommon(places.map((p) => p.category));
+  return {
+    id,
+    count: places.length,
+    lat: lat / places.length,
+    lon: lon / places.length,
+    dominantCategory: category.value ?? null,
+    dominantType: mostCommon(places.map((p) => p.name)).value ?? null,
+    categories: category.counts,
+    expansionZoom: expansionZoom(places, zoom, opts),
+    bbox: [minLon, minLat, maxLon, maxLat],
+  };
+}
+
+/**
+ * Cluster `places` for a map at `zoom`.
+ * Returns { clusters, places } where `places` are the ones left unclustered;
+ * clusters are largest first.
+ */
+function clusterPlaces(places, { zoom, cellPx = CELL_PX, maxZoom = MAX_ZOOM } = {}) {
+  const z = Math.floor(zoom);
+  if (z > maxZoom) return { clusters: [], places };
+
+  const cells = new Map();
+  for (const p of places) {
+    if (!Number.isFinite(p.lat) || !Number.isFinite(p.lon)) continue;
+    const key = cellOf(p, z, cellPx).join(":");
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(p);
+    else cells.set(key, [p]);
+  }
+
+  const clusters = [];
+  const singles = [];
+  for (const [key, members] of cells) {
+    if (members.length === 1) singles.push(members[0]);
+    else clusters.push(summarize(`${z}:${key}`, members, z, { cellPx, maxZoom }));
+  }
+  clusters.sort((a, b) => b.count - a.count || (a.id < b.id ? -1 : 1));
+  return { clusters, places: singles };
+}
+
+/** `?cluster=true&zoom=` -> { zoom }; null when clustering wasn't asked for. */
+function parseClusterQuery(query = {}) {
+  if (!/^(true|1)$/i.test(String(query.cluster ?? ""))) return null;
+  return { zoom: Math.floor(parseNumber(query.zoom, "zoom", { min: 0, max: 22 })) };
+}
+
+module.exports = { clusterPlaces, parseClusterQuery, MAX_ZOOM };
@@ -0,0 +1,15 @@
+// Run `worker` over `items` with at most `limit` in flight; results keep input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let i = 0;
+  async function run() {
+    while (i < items.length) {
+      const idx = i++;
+      results[idx] = await worker(items[idx], idx);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,48 @@
+const { STATUS_CODES } = require("http");
+
+// Errors carrying a statusCode; errorHandler turns these into
+// application/problem+json responses (RFC 9457) with `code` and `details` as extensions.
+class HttpError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+function badRequest(message, details) {
+  return new HttpError(400, "BAD_REQUEST", message, details);
+}
+
+function notFound(code, message, details) {
+  return new HttpError(404, code, message, details);
+}
+
+// Request URL with a `?apiKey=` secret masked, for logs and problem documents.
+function safeUrl(url) {
+  return String(url).replace(/([?&]apiKey=)[^&#]*/gi, "$1[redacted]");
+}
+
+// Fastify error handler: every error becomes a problem document.
+function errorHandler(err, req, reply) {
+  const status = err.statusCode >= 400 && err.statusCode < 600 ? err.statusCode : 500;
+  if (status >= 500) req.log.error({ err }, "request failed");
+  else req.log.info({ err }, "request rejected");
+
+  const details = err.details && typeof err.details === "object" ? err.details : {};
+  if (details.retryAfterSeconds) reply.header("Retry-After", String(details.retryAfterSeconds));
+
+  reply.code(status).type("application/problem+json").send({
+    type: "about:blank",
+    title: STATUS_CODES[status],
+    status,
+    detail: err.message,
+    instance: safeUrl(req.url),
+    code: err.code,
+    ...details,
+  });
+}
+
+module.exports = { HttpError, badRequest, notFound, errorHandler, safeUrl };
@@ -0,0 +1,181 @@
+const { badRequest } = require("./errors");
+
+/**
+ * Alternative encodings of any `{ ...meta, places }` response, chosen by `?format=`
+ * or the Accept header (the query parameter wins):
+ *
+ *   json      the normal response (default)
+ *   geojson   FeatureCollection of Points; metadata as foreign members   application/geo+json
+ *             (clusters, when present, are Point features with `cluster: true`)
+ *   csv       one row per place, extras flattened to `extras.<key>`      text/csv
+ *   kml       Placemarks with ExtendedData, for Google Earth             application/vnd.google-earth.kml+xml
+ */
+
+const TYPES = {
+  json: "application/json; charset=utf-8",
+  geojson: "application/geo+json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  kml: "application/vnd.google-earth.kml+xml; charset=utf-8",
+};
+
+const ACCEPT = new Map([
+  ["application/json", "json"],
+  ["application/geo+json", "geojson"],
+  ["application/vnd.geo+json", "geojson"],
+  ["text/csv", "csv"],
+  ["application/vnd.google-earth.kml+xml", "kml"],
+  ["application/xml", "kml"],
+  ["*/*", "json"],
+  ["application/*", "json"],
+]);
+
+const CORE_COLUMNS = ["id", "name", "category", "subcategory", "lat", "lon", "address", "callTimeReceived", "callTimeReceivedLocal", "updatedAt"];
+
+/** Requested format: `?format=` if given (400 when unknown), else the best Accept match, else json. */
+function negotiateFormat(req) {
+  const q = req.query?.format;
+  if (q != null && q !== "") {
+    const f = String(q).toLowerCase();
+    if (!TYPES[f]) throw badRequest(`"format" must be one of ${Object.keys(TYPES).join(", ")}`);
+    return f;
+  }
+
+  const ranked = String(req.headers?.accept || "")
+    .split(",")
+    .map((part, i) => {
+      const [type, ...params] = part.trim().toLowerCase().split(";");
+      const qp = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { type: type.trim(), q: qp ? Number(qp.slice(2)) : 1, i };
+    })
+    .filter((a) => a.q > 0 && ACCEPT.has(a.type))
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ACCEPT.get(ranked[0].type) : "json";
+}
+
+function metaOf(body) {
+  const { places, clusters, ...meta } = body;
+  return meta;
+}
+
+function pointFeature(item, extra) {
+  const { lat, lon, ...properties } = item;
+  return {
+    type: "Feature",
+    id: item.id,
+    geometry: { type: "Point", coordinates: [Number(lon), Number(lat)] },
+    properties: { ...extra, ...properties },
+  };
+}
+
+function toGeoJSON(body) {
+  return {
+    type: "FeatureCollection",
+    ...metaOf(body),
+    features: [
+      ...(body.clusters || []).map((c) => pointFeature(c, { cluster: true })),
+      ...(body.places || []).map((p) => pointFeature(p)),
+    ],
+  };
+}
+
+// One flat record per place: scalar top-level fields plus `extras.<key>`.
+function flatten(place) {
+  const row = {};
+  for (const [k, v] of Object.entries(place)) {
+    if (k === "extras") continue;
+    row[k] = v;
+  }
+  for (const [k, v] of Object.entries(place.extras || {})) row[`extras.${k}`] = v;
+  return row;
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  let s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  // keep spreadsheets from evaluating text as a formula
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(body) {
+  const rows = (body.places || []).map(flatten);
+  const columns = [...CORE_COLUMNS];
+  const extras = new Set();
+  for (const row of rows) {
+    for (const k of Object.keys(row)) {
+      if (columns.includes(k)) continue;
+      if (k.startsWith("extras.")) extras.add(k);
+      else columns.push(k);
+    }
+  }
+  columns.push(...[...extras].sort());
+
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function xml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Placemark ids must be XML NCNames, and place ids contain ":". Escape anything outside
+// [A-Za-z0-9.-] as _<hex>_ behind a fixed prefix, which keeps ids unique; the raw id is
+// in ExtendedData.
+function kmlId(id) {
+  return "p_" + [...String(id)].map((c) => (/[A-Za-z0-9.-]/.test(c) ? c : `_${c.codePointAt(0).toString(16)}_`)).join("");
+}
+
+// "<name> at <address>" mirrors the feeds we parse (see adapters/engines/kml.js), so it round-trips.
+function toKML(body) {
+  const title = [body.city, body.source].filter(Boolean).join(" – ") || "places";
+  const placemarks = (body.places || []).map((p) => {
+    const row = flatten(p);
+    const data = Object.entries(row)
+      .filter(([k, v]) => v != null && k !== "lat" && k !== "lon")
+      .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(typeof v === "object" ? JSON.stringify(v) : v)}</value></Data>`)
+      .join("");
+    return [
+      `<Placemark id="${kmlId(p.id)}">`,
+      `<name>${xml(p.name)}</name>`,
+      `<description>${xml(p.address ? `${p.name} at ${p.address}` : p.name)}</description>`,
+      p.callTimeReceived ? `<TimeStamp><when>${xml(p.callTimeReceived)}</when></TimeStamp>` : "",
+      `<ExtendedData>${data}</ExtendedData>`,
+      `<Point><coordinates>${Number(p.lon)},${Number(p.lat)}</coordinates></Point>`,
+      `</Placemark>`,
+    ].join("");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>`,
+    `<name>${xml(title)}</name>`,
+    ...placemarks,
+    `</Document></kml>`,
+    "",
+  ].join("\n");
+}
+
+const ENCODERS = { geojson: toGeoJSON, csv: toCSV, kml: toKML };
+const EXTENSIONS = { geojson: "geojson", csv: "csv", kml: "kml" };
+
+/**
+ * Send a places response in the negotiated format. `filename` (without extension)
+ * names downloads of the non-JSON formats.
+ */
+function sendPlaces(req, reply, body, { filename = "places" } = {}) {
+  const format = negotiateFormat(req);
+  reply.header("Vary", "Accept");
+  if (format === "json") return body;
+
+  reply.type(TYPES[format]);
+  reply.header("Content-Disposition", `inline; filename="${filename}.${EXTENSIONS[format]}"`);
+  const out = ENCODERS[format](body);
+  return typeof out === "string" ? out : JSON.stringify(out);
+}
+
+module.exports = { negotiateFormat, sendPlaces, toGeoJSON, toCSV, toKML };
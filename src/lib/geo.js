@@ -0,0 +1,38 @@
+// Haversine distance in miles
+function haversineMiles(a, b) {
+  if (
+    !a ||
+    !b ||
+    !Number.isFinite(a.lat) ||
+    !Number.isFinite(a.lon) ||
+    !Number.isFinite(b.lat) ||
+    !Number.isFinite(b.lon)
+  )
+    return Infinity;
+
+  const R = 3958.7613; // Earth radius in miles
+  const dLat = ((b.lat - a.lat) * Math.PI) / 180;
+  const dLon = ((b.lon - a.lon) * Math.PI) / 180;
+  const lat1 = (a.lat * Math.PI) / 180;
+  const lat2 = (b.lat * Math.PI) / 180;
+
+  const sinDLat = Math.sin(dLat / 2);
+  const sinDLon = Math.sin(dLon / 2);
+  const h =
+    sinDLat * sinDLat +
+    Math.cos(lat1) * Math.cos(lat2) * sinDLon * sinDLon;
+
+  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  return R * c;
+}
+
+// Distance from a point to the nearest edge of a { minLat, maxLat, minLon, maxLon } box (0 inside).
+function distanceToBoundsMiles(point, bounds) {
+  const nearest = {
+    lat: Math.min(Math.max(point.lat, bounds.minLat), bounds.maxLat),
+    lon: Math.min(Math.max(point.lon, bounds.minLon), bounds.maxLon),
+  };
+  return haversineMiles(point, nearest);
+}
+
+module.exports = { haversineMiles, distanceToBoundsMiles };
@@ -0,0 +1,83 @@
+const { badRequest } = require("./errors");
+const { haversineMiles } = require("./geo");
+
+/**
+ * Subscription areas: a circle or a GeoJSON Polygon.
+ *
+ *   { "lat": 45.52, "lon": -122.68, "radiusMiles": 1 }
+ *   { "type": "Polygon", "coordinates": [[[lon, lat], ...]] }   first ring is the outline, others are holes
+ */
+
+const MAX_RADIUS_MILES = 50;
+const MAX_VERTICES = 1000;
+
+const isLat = (v) => Number.isFinite(v) && v >= -90 && v <= 90;
+const isLon = (v) => Number.isFinite(v) && v >= -180 && v <= 180;
+
+/** Validate a request's area; returns the normalized area or throws a 400. */
+function parseArea(input) {
+  if (!input || typeof input !== "object") throw badRequest('"area" must be a circle or a GeoJSON Polygon');
+
+  if (input.type === "Polygon") {
+    const rings = input.coordinates;
+    if (!Array.isArray(rings) || !rings.length) throw badRequest('"area.coordinates" must be an array of linear rings');
+    let vertices = 0;
+    const clean = rings.map((ring, i) => {
+      if (!Array.isArray(ring) || ring.length < 4) throw badRequest(`"area.coordinates[${i}]" needs at least 4 positions`);
+      vertices += ring.length;
+      return ring.map((pos) => {
+        const [lon, lat] = Array.isArray(pos) ? pos.map(Number) : [];
+        if (!isLon(lon) || !isLat(lat)) throw badRequest("Polygon positions must be [lon, lat] in range");
+        return [lon, lat];
+      });
+    });
+    if (vertices > MAX_VERTICES) throw badRequest(`Polygons may have at most ${MAX_VERTICES} positions`);
+    return { type: "Polygon", coordinates: clean };
+  }
+
+  const lat = Number(input.lat);
+  const lon = Number(input.lon);
+  const radiusMiles = Number(input.radiusMiles);
+  if (!isLat(lat) || !isLon(lon)) throw badRequest('"area.lat" / "area.lon" must be valid coordinates');
+  if (!(radiusMiles > 0 && radiusMiles <= MAX_RADIUS_MILES)) {
+    throw badRequest(`"area.radiusMiles" must be greater than 0 and at most ${MAX_RADIUS_MILES}`);
+  }
+  return { type: "Circle", lat, lon, radiusMiles };
+}
+
+// Even-odd ray cast against one ring of [lon, lat] positions.
+function inRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function areaContains(area, point) {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lon)) return false;
+  if (area.type === "Circle") return haversineMiles(area, point) <= area.radiusMiles;
+  const [outline, ...holes] = area.coordinates;
+  return inRing(outline, point.lon, point.lat) && !holes.some((h) => inRing(h, point.lon, point.lat));
+}
+
+/** { minLat, maxLat, minLon, maxLon } around the area. */
+function areaBounds(area) {
+  if (area.type === "Circle") {
+    const dLat = area.radiusMiles / 69.05;
+    const dLon = dLat / Math.max(Math.cos((area.lat * Math.PI) / 180), 0.01);
+    return { minLat: area.lat - dLat, maxLat: area.lat + dLat, minLon: area.lon - dLon, maxLon: area.lon + dLon };
+  }
+  const outline = area.coordinates[0];
+  const lons = outline.map((p) => p[0]);
+  const lats = outline.map((p) => p[1]);
+  return { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLon: Math.min(...lons), maxLon: Math.max(...lons) };
+}
+
+function boundsOverlap(a, b) {
+  return a.minLat <= b.maxLat && b.minLat <= a.maxLat && a.minLon <= b.maxLon && b.minLon <= a.maxLon;
+}
+
+module.exports = { parseArea, areaContains, areaBounds, boundsOverlap };
@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+
+/**
+ * Place ids are namespaced by source ("sf:231234567") so they never collide across
+ * cities, and never random, so one incident keeps its id across fetches.
+ * Feeds without a native id get a hash of what identifies the incident:
+ * type, address and received time ("pdx:h-1f3a9c0d2b7e4a51").
+ */
+
+function namespacedId(source, nativeId) {
+  return `${source}:${nativeId}`;
+}
+
+function hashedId(source, parts) {
+  const key = parts.map((p) => String(p ?? "").trim().toLowerCase()).join("|");
+  return `${source}:h-${crypto.createHash("sha1").update(key).digest("hex").slice(0, 16)}`;
+}
+
+// What tells same-id places apart and stays put while an incident updates: when and
+// where it was received (the inputs hashed ids are built from). Status, disposition,
+// extras and the final call type can all change, so they're left out.
+function stableKey(p) {
+  return JSON.stringify([p.callTimeReceived ?? "", p.address ?? "", p.lat, p.lon]);
+}
+
+/**
+ * Make ids unique within one payload: repeats get "~2", "~3", ... The suffixes go in
+ * order of stableKey, so neither a reshuffled feed nor one duplicate updating swaps
+ * them. Exact ties keep feed order. The array itself keeps feed order.
+ */
+function dedupeIds(places) {
+  const groups = new Map();
+  for (const p of places) {
+    if (!groups.has(p.id)) groups.set(p.id, []);
+    groups.get(p.id).push(p);
+  }
+  for (const [id, group] of groups) {
+    if (group.length < 2) continue;
+    const keyed = group.map((p) => [stableKey(p), p]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    keyed.forEach(([, p], i) => { if (i > 0) p.id = `${id}~${i + 1}`; });
+  }
+  return places;
+}
+
+module.exports = { namespacedId, hashedId, dedupeIds };
@@ -0,0 +1,28 @@
+const { badRequest } = require("./errors");
+
+// Query-string parsing shared by the routes; each throws a 400 on bad input.
+
+// Accepts ISO-8601 or epoch milliseconds; undefined when absent.
+function parseTime(value, field) {
+  if (value == null || value === "") return undefined;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw badRequest(`"${field}" must be an ISO-8601 timestamp or epoch milliseconds`);
+  return ms;
+}
+
+// Required finite number within [min, max].
+function parseNumber(value, field, { min = -Infinity, max = Infinity } = {}) {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isFinite(n)) throw badRequest(`"${field}" must be a number`);
+  if (n < min || n > max) throw badRequest(`"${field}" must be between ${min} and ${max}`);
+  return n;
+}
+
+// Comma-separated list, trimmed, empties dropped; undefined when absent.
+function parseList(value) {
+  if (value == null || value === "") return undefined;
+  const items = String(value).split(",").map((s) => s.trim()).filter(Boolean);
+  return items.length ? items : undefined;
+}
+
+module.exports = { parseTime, parseNumber, parseList };
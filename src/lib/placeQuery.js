@@ -0,0 +1,126 @@
+const { badRequest } = require("./errors");
+const { parseTime, parseNumber, parseList } = require("./params");
+
+/**
+ * Filtering, sorting and keyset pagination over an in-memory `places` array.
+ *
+ * Query parameters:
+ *   bbox=minLon,minLat,maxLon,maxLat   places inside the box
+ *   since= / until=                    callTimeReceived window (ISO-8601 or epoch ms)
+ *   q=                                 case-insensitive substring of name
+ *   category=a,b                       category in the list (case-insensitive)
+ *   priority=A,B                       extras.priority in the list (case-insensitive)
+ *   sort=                              callTimeReceived | -callTimeReceived | name | -name
+ *   limit= / cursor=                   page size, and the nextCursor of the previous page
+ */
+
+const PARAMS = ["bbox", "since", "until", "q", "category", "priority", "sort", "limit", "cursor"];
+const SORTS = new Set(["callTimeReceived", "-callTimeReceived", "name", "-name"]);
+const DEFAULT_SORT = "-callTimeReceived";
+const MAX_LIMIT = 1000;
+
+function parseBbox(value) {
+  const parts = parseList(value);
+  if (!parts || parts.length !== 4) throw badRequest(`"bbox" must be minLon,minLat,maxLon,maxLat`);
+  const [minLon, minLat, maxLon, maxLat] = parts.map((p, i) => parseNumber(p, `bbox[${i}]`));
+  if (minLon > maxLon || minLat > maxLat) throw badRequest(`"bbox" min values must not exceed max values`);
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function encodeCursor(sort, key, id) {
+  return Buffer.from(JSON.stringify([sort, key, id])).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const [s, key, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (s === sort && typeof id === "string") return { key, id };
+  } catch { /* fall through */ }
+  throw badRequest(`"cursor" is invalid for this sort order`);
+}
+
+/** Validate query parameters; returns null when none of them were given. */
+function parsePlaceQuery(query = {}) {
+  if (!PARAMS.some((p) => query[p] != null && query[p] !== "")) return null;
+
+  const sort = query.sort || DEFAULT_SORT;
+  if (!SORTS.has(sort)) throw badRequest(`"sort" must be one of ${[...SORTS].join(", ")}`);
+
+  const opts = {
+    bbox: query.bbox ? parseBbox(query.bbox) : undefined,
+    since: parseTime(query.since, "since"),
+    until: parseTime(query.until, "until"),
+    q: query.q ? String(query.q).toLowerCase() : undefined,
+    categories: parseList(query.category)?.map((c) => c.toLowerCase()),
+    priorities: parseList(query.priority)?.map((p) => p.toLowerCase()),
+    sort,
+    limit: query.limit == null || query.limit === ""
+      ? undefined
+      : Math.floor(parseNumber(query.limit, "limit", { min: 1, max: MAX_LIMIT })),
+  };
+  opts.after = query.cursor ? decodeCursor(query.cursor, sort) : undefined;
+  return opts;
+}
+
+function sortKey(place, field) {
+  if (field === "callTimeReceived") {
+    const ms = Date.parse(place.callTimeReceived);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  return place.name == null ? null : String(place.name).toLowerCase();
+}
+
+// Ascending compare on (key, id); missing keys always sort last.
+function compareKeys(a, b, desc) {
+  if (a.key !== b.key) {
+    if (a.key == null) return 1;
+    if (b.key == null) return -1;
+    const c = a.key < b.key ? -1 : 1;
+    return desc ? -c : c;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function matches(place, opts) {
+  if (opts.bbox) {
+    const { minLon, minLat, maxLon, maxLat } = opts.bbox;
+    if (!(place.lon >= minLon && place.lon <= maxLon && place.lat >= minLat && place.lat <= maxLat)) return false;
+  }
+  if (opts.since != null || opts.until != null) {
+    const t = Date.parse(place.callTimeReceived);
+    if (!Number.isFinite(t)) return false;
+    if (opts.since != null && t < opts.since) return false;
+    if (opts.until != null && t > opts.until) return false;
+  }
+  if (opts.q && !String(place.name || "").toLowerCase().includes(opts.q)) return false;
+  if (opts.categories && !opts.categories.includes(String(place.category || "").toLowerCase())) return false;
+  if (opts.priorities && !opts.priorities.includes(String(place.extras?.priority ?? "").toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Apply parsed options to `places`.
+ * Returns { places, total, nextCursor } where total counts every match across pages.
+ */
+function applyPlaceQuery(places, opts) {
+  const desc = opts.sort.startsWith("-");
+  const field = desc ? opts.sort.slice(1) : opts.sort;
+
+  const keyed = places
+    .filter((p) => matches(p, opts))
+    .map((p) => ({ key: sortKey(p, field), id: String(p.id), place: p }))
+    .sort((a, b) => compareKeys(a, b, desc));
+
+  const start = opts.after ? keyed.findIndex((k) => compareKeys(k, opts.after, desc) > 0) : 0;
+  const rest = start < 0 ? [] : keyed.slice(start);
+  const page = opts.limit ? rest.slice(0, opts.limit) : rest;
+  const last = page[page.length - 1];
+
+  return {
+    places: page.map((k) => k.place),
+    total: keyed.length,
+    nextCursor: page.length < rest.length ? encodeCursor(opts.sort, last.key, last.id) : null,
+  };
+}
+
+module.exports = { parsePlaceQuery, applyPlaceQuery };
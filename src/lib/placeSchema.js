@@ -0,0 +1,20 @@
+const { z } = require("zod");
+const { CATEGORIES } = require("./taxonomy");
+
+// Runtime contract for every place an adapter emits; rows failing it are dropped
+// and show up in the city's data-quality report.
+const PlaceSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  category: z.enum(CATEGORIES),
+  subcategory: z.string().min(1),
+  lat: z.number().finite().min(-90).max(90),
+  lon: z.number().finite().min(-180).max(180),
+  address: z.string().min(1).optional(),
+  callTimeReceived: z.string().datetime().optional(),
+  callTimeReceivedLocal: z.string().datetime({ offset: true }).optional(),
+  updatedAt: z.string().datetime().optional(),
+  extras: z.record(z.any()),
+});
+
+module.exports = { PlaceSchema };
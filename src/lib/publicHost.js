@@ -0,0 +1,54 @@
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Outbound calls to user-supplied URLs (webhooks) must not reach the server's own
+ * network: loopback, link-local (cloud metadata), private, CGNAT, multicast and
+ * reserved ranges are refused, for IPv4, IPv6 and IPv4-mapped IPv6.
+ */
+
+const blocked = new net.BlockList();
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) blocked.addSubnet(net4, prefix, "ipv4");
+for (const [net6, prefix] of [
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96],
+]) blocked.addSubnet(net6, prefix, "ipv6");
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return blocked.check(ip, "ipv4");
+  if (family !== 6) return true;
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? blocked.check(mapped[1], "ipv4") : blocked.check(ip, "ipv6");
+}
+
+function refused(hostname, address) {
+  const err = new Error(`${hostname} resolves to a non-public address (${address})`);
+  err.code = "EPRIVATEADDRESS";
+  return err;
+}
+
+/** Resolve `hostname` and throw (code EPRIVATEADDRESS) if any address isn't public. */
+async function assertPublicHost(hostname, { lookup = dns.promises.lookup } = {}) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  for (const { address } of addresses) if (isPrivateAddress(address)) throw refused(host, address);
+}
+
+/**
+ * dns.lookup replacement for socket connects (undici `connect.lookup`): the address
+ * actually connected to is checked, so DNS rebinding after assertPublicHost doesn't help.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address }];
+    const bad = list.find((a) => isPrivateAddress(a.address));
+    if (bad) return callback(refused(hostname, bad.address));
+    callback(null, address, family);
+  });
+}
+
+module.exports = { isPrivateAddress, assertPublicHost, publicLookup };
@@ -0,0 +1,107 @@
+const { badRequest } = require("./errors");
+const { localParts } = require("./time");
+
+/**
+ * Aggregate counts over observed places, shaped for charts.
+ *
+ * groupBy dimensions:
+ *   category | subcategory | type (the place name)
+ *   hour (0-23) | weekday | day (YYYY-MM-DD), in the city's local time
+ *   anything else is an `extras` key, e.g. policeDistrict, neighborhood (or extras.<key>)
+ *
+ * Times use callTimeReceived, falling back to when the server first saw the place.
+ */
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const TIME_DIMS = new Set(["hour", "weekday", "day"]);
+
+/** "24h" / "7d" -> milliseconds, at most `maxMs`. */
+function parseWindow(value, { maxMs } = {}) {
+  const m = String(value ?? "24h").trim().match(/^(\d+)([hd])$/i);
+  const ms = m ? Number(m[1]) * (m[2].toLowerCase() === "d" ? DAY_MS : HOUR_MS) : NaN;
+  if (!ms) throw badRequest(`"window" must look like 24h or 7d`);
+  if (maxMs && ms > maxMs) throw badRequest(`"window" must not exceed ${Math.floor(maxMs / HOUR_MS)}h (history retention)`);
+  return ms;
+}
+
+function parseGroupBy(value) {
+  const keys = String(value || "category").split(",").map((s) => s.trim()).filter(Boolean);
+  for (const k of keys) {
+    if (!/^[A-Za-z][\w.]*$/.test(k)) throw badRequest(`"groupBy" has an invalid dimension: ${k}`);
+  }
+  return [...new Set(keys)];
+}
+
+function eventTime(place) {
+  const t = Date.parse(place.callTimeReceived);
+  return Number.isFinite(t) ? t : Date.parse(place.firstSeenAt);
+}
+
+function keyOf(place, dim, timeZone) {
+  switch (dim) {
+    case "category": return place.category;
+    case "subcategory": return place.subcategory;
+    case "type": return place.name;
+    case "hour":
+    case "weekday":
+    case "day": {
+      const t = eventTime(place);
+      return Number.isFinite(t) ? localParts(t, timeZone)[dim === "day" ? "date" : dim] : undefined;
+    }
+    default: {
+      const v = place.extras?.[dim.startsWith("extras.") ? dim.slice(7) : dim];
+      return v == null || v === "" ? undefined : String(v);
+    }
+  }
+}
+
+// Every bucket a time dimension can take, so charts get zeros instead of gaps.
+function timeBuckets(dim, { from, to, timeZone }) {
+  if (!TIME_DIMS.has(dim)) return [];
+  if (dim === "hour") return Array.from({ length: 24 }, (_, h) => h);
+  if (dim === "weekday") return WEEKDAYS;
+  if (dim === "day") {
+    const days = new Set();
+    for (let t = from; t < to; t += HOUR_MS) days.add(localParts(t, timeZone).date);
+    days.add(localParts(to, timeZone).date);
+    return [...days];
+  }
+}
+
+/**
+ * Returns { total, averagePerDay, groups: { [dim]: [{ key, count, share }] } }.
+ * Time dimensions keep their natural order; the rest are sorted by count.
+ */
+function computeStats(places, { groupBy, from, to, timeZone }) {
+  const inWindow = places.filter((p) => {
+    const t = eventTime(p);
+    return !Number.isFinite(t) || (t >= from && t <= to);
+  });
+
+  const groups = {};
+  for (const dim of groupBy) {
+    const counts = new Map(timeBuckets(dim, { from, to, timeZone }).map((k) => [k, 0]));
+    for (const p of inWindow) {
+      const key = keyOf(p, dim, timeZone) ?? "unknown";
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const rows = [...counts].map(([key, count]) => ({
+      key,
+      count,
+      share: inWindow.length ? Math.round((count / inWindow.length) * 1000) / 1000 : 0,
+    }));
+    if (!TIME_DIMS.has(dim)) rows.sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+    groups[dim] = rows;
+  }
+
+  const days = Math.max((to - from) / DAY_MS, 1 / 24);
+  return {
+    total: inWindow.length,
+    averagePerDay: Math.round((inWindow.length / days) * 10) / 10,
+    groups,
+  };
+}
+
+module.exports = { parseWindow, parseGroupBy, computeStats };
@@ -0,0 +1,127 @@
+/**
+ * Shared incident taxonomy. Every adapter maps its source's type codes / names onto
+ * one normalized `category` plus a finer `subcategory`, so clients can filter all
+ * cities with the same UI.
+ *
+ * Lookup order: exact source code, then keyword rules over the type name, then the
+ * numeric part of the code (SF radio codes carry letter suffixes, e.g. "459A").
+ * Only SF has a code table so far; Nashville's and Portland's codes aren't documented
+ * by their publishers, so those cities are classified by type name alone.
+ */
+
+const CATEGORIES = ["violent", "property", "traffic", "medical", "fire", "disturbance", "other"];
+
+// Per-source code tables. Only codes whose meaning is stable across the feed.
+const CODES = {
+  sf: {
+    "211": ["violent", "robbery"],
+    "212": ["violent", "robbery"],
+    "217": ["violent", "shooting"],
+    "219": ["violent", "stabbing"],
+    "221": ["violent", "weapon"],
+    "222": ["violent", "weapon"],
+    "240": ["violent", "assault"],
+    "245": ["violent", "assault"],
+    "261": ["violent", "sexual-assault"],
+    "415": ["disturbance", "disturbance"],
+    "418": ["disturbance", "fight"],
+    "459": ["property", "burglary"],
+    "480": ["traffic", "hit-and-run"],
+    "481": ["traffic", "hit-and-run"],
+    "487": ["property", "theft"],
+    "488": ["property", "theft"],
+    "586": ["traffic", "parking"],
+    "594": ["property", "vandalism"],
+    "601": ["disturbance", "trespass"],
+    "800": ["medical", "mental-health"],
+    "801": ["medical", "mental-health"],
+    "851": ["property", "vehicle-theft"],
+    "910": ["medical", "welfare-check"],
+    "916": ["other", "suspicious"],
+    "917": ["other", "suspicious"],
+  },
+};
+
+// Keyword rules over the upper-cased type name; first match wins, so specific before general.
+// Short keywords need word boundaries: "ALARMED" isn't ARMED, "TOWNHOUSE" isn't TOW.
+const RULES = [
+  [/SHOOT|SHOTS FIRED|GUNSHOT/, "violent", "shooting"],
+  [/\bSTAB|CUTTING/, "violent", "stabbing"],
+  [/HOMICIDE|MURDER/, "violent", "homicide"],
+  [/ROBBERY|CAR ?JACK/, "violent", "robbery"],
+  [/\bRAPE\b|SEX(UAL)? ASSAULT/, "violent", "sexual-assault"],
+  [/KIDNAP|ABDUCT/, "violent", "kidnapping"],
+  [/HOSTAGE|BARRICADE/, "violent", "hostage"],
+  [/DOMESTIC/, "violent", "domestic"],
+  [/ASSAULT|BATTERY/, "violent", "assault"],
+  [/WITH (A )?(GUN|KNIFE|WEAPON)|WEAPON|FIREARM|\bARMED\b/, "violent", "weapon"],
+
+  [/HIT (AND|&) RUN/, "traffic", "hit-and-run"],
+  [/\bDUI\b|\bDWI\b|DRUNK DRIV|IMPAIRED DRIV/, "traffic", "dui"],
+  [/ACCIDENT|COLLISION|CRASH|WRECK|\bMV[AC]\b/, "traffic", "collision"],
+  [/PARKING|\bTOW(ED|ING)?\b/, "traffic", "parking"],
+  [/TRAFFIC STOP|SPEEDING|RECKLESS/, "traffic", "traffic-stop"],
+  [/TRAFFIC|ROAD HAZARD|DEBRIS|BLOCKING|STALLED/, "traffic", "hazard"],
+
+  [/FIRE ALARM|SMOKE ALARM/, "fire", "alarm"],
+  [/FIREWORK/, "disturbance", "noise"],
+  [/\bFIRE\b|SMOKE|BURNING|EXPLOSION|HAZMAT|GAS LEAK/, "fire", "fire"],
+
+  [/ALARM/, "property", "alarm"],
+  [/BURGLAR|BREAK-? ?IN/, "property", "burglary"],
+  [/STOLEN (VEHICLE|AUTO|CAR)|(AUTO|VEHICLE) THEFT/, "property", "vehicle-theft"],
+  [/SHOPLIFT/, "property", "shoplifting"],
+  [/THEFT|LARCENY|STOLEN|STEAL/, "property", "theft"],
+  [/VANDAL|GRAFFITI|MALICIOUS MISCHIEF|PROPERTY DAMAGE|DAMAGE TO PROPERTY/, "property", "vandalism"],
+  [/FRAUD|FORGERY|SCAM|EMBEZZL/, "property", "fraud"],
+
+  [/OVERDOSE|\bOD\b/, "medical", "overdose"],
+  [/SUICID|MENTAL|CRISIS|DISTURBED PERSON/, "medical", "mental-health"],
+  [/WELFARE|WELL-? ?BEING/, "medical", "welfare-check"],
+  [/DEAD BODY|DECEASED|DEATH/, "medical", "death-investigation"],
+  [/MEDICAL|INJUR|AMBULANCE|UNCONSCIOUS|CARDIAC|BREATHING|SEIZURE|\bSICK\b|\bEMS\b/, "medical", "medical"],
+
+  [/FIGHT/, "disturbance", "fight"],
+  [/NOISE|LOUD|MUSIC|PARTY/, "disturbance", "noise"],
+  [/TRESPASS|UNWANTED/, "disturbance", "trespass"],
+  [/SIT\/LIE|ENCAMP|SLEEPER|PANHANDL|QUALITY OF LIFE/, "disturbance", "quality-of-life"],
+  [/DRUNK|INTOX/, "disturbance", "intoxication"],
+  [/HARASS|THREAT/, "disturbance", "harassment"],
+  [/DISTURB|DISORDER|DISPUTE|ARGUMENT|NUISANCE|JUVENILE/, "disturbance", "disturbance"],
+
+  [/SUSPICIOUS|PROWLER/, "other", "suspicious"],
+  [/NARCOTIC|DRUG/, "other", "drugs"],
+  [/MISSING|RUNAWAY/, "other", "missing-person"],
+  [/HANG ?UP|ABANDONED CALL|\b911\b/, "other", "911-hangup"],
+  [/ASSIST|STANDBY|FOLLOW ?UP|INFORMATION|CITIZEN/, "other", "assist"],
+];
+
+/**
+ * Classify an incident. `source` is the provider name, `code` its raw type code
+ * (if any) and `name` the raw type name.
+ * Returns { category, subcategory }; unknown types come back as other/unclassified.
+ */
+function classify({ source, code, name } = {}) {
+  const table = CODES[source] || {};
+  const rawCode = code == null ? "" : String(code).trim().toUpperCase();
+
+  if (rawCode && table[rawCode]) {
+    const [category, subcategory] = table[rawCode];
+    return { category, subcategory };
+  }
+
+  const text = String(name || "").toUpperCase();
+  for (const [re, category, subcategory] of RULES) {
+    if (re.test(text)) return { category, subcategory };
+  }
+
+  const numeric = rawCode.match(/^\d+/)?.[0];
+  if (numeric && table[numeric]) {
+    const [category, subcategory] = table[numeric];
+    return { category, subcategory };
+  }
+
+  return { category: "other", subcategory: "unclassified" };
+}
+
+module.exports = { CATEGORIES, classify };
@@ -0,0 +1,96 @@
+/**
+ * Timestamp helpers shared by the adapters and stats.
+ *
+ * Source feeds mix epoch milliseconds, ISO strings with an offset, and zone-less
+ * wall-clock strings ("2025-08-17T16:20:00", "Sunday, August 17, 2025 4:20 PM").
+ * Zone-less values are read in the city's IANA time zone (DST included), never in
+ * the server's own zone.
+ */
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", weekday: "short",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+function wallClock(ms, timeZone) {
+  const p = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return {
+    year: Number(p.year), month: Number(p.month), day: Number(p.day),
+    hour: Number(p.hour), minute: Number(p.minute), second: Number(p.second),
+    weekday: p.weekday,
+  };
+}
+
+// Offset of `timeZone` from UTC at instant `ms`, in milliseconds (e.g. -7h for PDT).
+function offsetMs(ms, timeZone) {
+  const w = wallClock(ms, timeZone);
+  const whole = ms - (((ms % 1000) + 1000) % 1000);
+  return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - whole;
+}
+
+// Wall-clock time (as if UTC) in `timeZone` -> epoch ms. The second pass settles
+// instants next to a DST change, where the offset at the guess differs.
+function fromWallClock(wallMs, timeZone) {
+  const first = wallMs - offsetMs(wallMs, timeZone);
+  return wallMs - offsetMs(first, timeZone);
+}
+
+const HAS_ZONE = /(?:Z|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC)\b.*|\b[ECMP][SD]T)$/i;
+const ISO_LOCAL = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/;
+
+/**
+ * Epoch ms for a source timestamp, or undefined. Numbers (and 12+ digit strings)
+ * are epoch ms; strings without a zone are wall-clock time in `timeZone`.
+ */
+function parseTimestamp(ts, timeZone = "UTC") {
+  if (ts == null || ts === "") return undefined;
+  if (typeof ts === "number") return Number.isFinite(ts) ? ts : undefined;
+  if (ts instanceof Date) return isNaN(ts.getTime()) ? undefined : ts.getTime();
+  if (typeof ts !== "string") return undefined;
+
+  const s = ts.trim();
+  if (/^\d{12,}$/.test(s)) return Number(s);
+  if (HAS_ZONE.test(s)) {
+    const ms = Date.parse(s);
+    return Number.isFinite(ms) ? ms : undefined;
+  }
+
+  const iso = s.match(ISO_LOCAL);
+  const wall = iso ? Date.parse(`${iso[1]}T${iso[2] || "00:00"}Z`) : Date.parse(`${s} UTC`);
+  return Number.isFinite(wall) ? fromWallClock(wall, timeZone) : undefined;
+}
+
+// Source timestamp -> ISO-8601 (UTC); undefined when unparseable.
+function toISO(ts, timeZone) {
+  const ms = parseTimestamp(ts, timeZone);
+  return ms === undefined ? undefined : new Date(ms).toISOString();
+}
+
+const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, "0");
+
+// ISO-8601 local time with offset in `timeZone`, e.g. "2025-08-17T16:20:00-07:00".
+function toLocalISO(ts, timeZone) {
+  const ms = parseTimestamp(ts, timeZone);
+  if (ms === undefined) return undefined;
+  const w = wallClock(ms, timeZone);
+  const off = Math.round(offsetMs(ms, timeZone) / 60000);
+  const sign = off < 0 ? "-" : "+";
+  return `${w.year}-${pad(w.month)}-${pad(w.day)}T${pad(w.hour)}:${pad(w.minute)}:${pad(w.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(off) / 60))}:${pad(Math.abs(off) % 60)}`;
+}
+
+// Wall-clock parts of an instant in an IANA zone: { date: "YYYY-MM-DD", hour, weekday: "Mon" }.
+function localParts(ts, timeZone) {
+  const w = wallClock(ts, timeZone);
+  return { date: `${w.year}-${pad(w.month)}-${pad(w.day)}`, hour: w.hour, weekday: w.weekday };
+}
+
+module.exports = { parseTimestamp, toISO, toLocalISO, localParts };
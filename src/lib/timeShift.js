@@ -0,0 +1,51 @@
+/**
+ * Moves every timestamp in a raw feed body by `deltaMs`, keeping each one's format,
+ * so replayed recordings look current. Handles the shapes our feeds use:
+ *
+ *   ISO-8601, with or without a zone       2025-08-17T16:20:00.000, 2025-08-17T23:20:00Z
+ *   long-form KML descriptions             Sunday, August 17, 2025 4:20 PM
+ *   epoch milliseconds (ArcGIS)            1755472800000 (only within a year of `around`)
+ *
+ * Zone-less and offset times are shifted as wall-clock times, which is exact except
+ * across a DST change.
+ */
+
+const YEAR_MS = 365 * 24 * 3600 * 1000;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+const ISO = /\b(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(?=Z|[+-]\d{2}:?\d{2}|\b|$)/g;
+const LONG = /\b(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday),\s+([A-Za-z]+)\s+(\d{1,2}),\s+(\d{4})\s+(\d{1,2}):(\d{2})\s+(AM|PM)\b/g;
+const EPOCH_MS = /\b1\d{12}\b/g;
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+function shiftIso(match, y, mo, d, h, mi, s, frac, deltaMs) {
+  const ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0), frac ? Math.round(Number(frac) * 1000) : 0) + deltaMs;
+  const t = new Date(ms);
+  let out = `${t.getUTCFullYear()}-${pad(t.getUTCMonth() + 1)}-${pad(t.getUTCDate())}T${pad(t.getUTCHours())}:${pad(t.getUTCMinutes())}`;
+  if (s !== undefined) out += `:${pad(t.getUTCSeconds())}`;
+  if (frac) out += `.${pad(t.getUTCMilliseconds(), 3)}`.slice(0, frac.length).padEnd(frac.length, "0");
+  return out;
+}
+
+function shiftLong(match, month, d, y, h, mi, ampm, deltaMs) {
+  const m = MONTHS.findIndex((name) => name.toLowerCase() === month.toLowerCase());
+  if (m < 0) return match;
+  const hour = (Number(h) % 12) + (ampm.toUpperCase() === "PM" ? 12 : 0);
+  const t = new Date(Date.UTC(+y, m, +d, hour, +mi) + deltaMs);
+  const h12 = t.getUTCHours() % 12 || 12;
+  return `${WEEKDAYS[t.getUTCDay()]}, ${MONTHS[t.getUTCMonth()]} ${t.getUTCDate()}, ${t.getUTCFullYear()} ` +
+    `${h12}:${pad(t.getUTCMinutes())} ${t.getUTCHours() < 12 ? "AM" : "PM"}`;
+}
+
+/** `text` with its timestamps moved by `deltaMs`; `around` (epoch ms) bounds which numbers count as epoch times. */
+function shiftTimestamps(text, deltaMs, { around = Date.now() - deltaMs } = {}) {
+  if (!deltaMs) return text;
+  return String(text)
+    .replace(ISO, (...m) => shiftIso(...m.slice(0, 8), deltaMs))
+    .replace(LONG, (...m) => shiftLong(...m.slice(0, 7), deltaMs))
+    .replace(EPOCH_MS, (m) => (Math.abs(Number(m) - around) <= YEAR_MS ? String(Number(m) + deltaMs) : m));
+}
+
+module.exports = { shiftTimestamps };
@@ -1,22 +1,48 @@
-const nashvilleMNPD = require("../adapters/nashville");
-const pdx = require("../adapters/pdx");
-const sf = require("../adapters/sf");
+const cities = require("../cities");
+const { createAdapter } = require("../adapters/engines");
+const { notFound } = require("../lib/errors");
 
-const registry = { nashvilleMNPD, pdx, sf };
+const registry = {};
+const CITY_DEF = {};
+for (const def of cities) {
+  registry[def.name] = createAdapter(def);
+  for (const slug of [def.slug, ...(def.aliases || [])]) CITY_DEF[slug] = def;
+}
 
-const CITY_PROVIDER = {
-  nashville: "nashvilleMNPD",
-  portland: "pdx",
-  pdx: "pdx",
-  sf: "sf",
-  "san-francisco": "sf",
-  sanfrancisco: "sf"
-};
+/** City definition for a slug or alias; unknown cities are a 404 listing the valid slugs. */
+function resolveCity(city) {
+  const def = CITY_DEF[String(city).toLowerCase()];
+  if (!def) {
+    throw notFound("UNKNOWN_CITY", `Unknown city "${city}"`, { cities: cities.map((d) => d.slug) });
+  }
+  return def;
+}
 
 function resolveProvider(city) {
-  const name = CITY_PROVIDER[String(city).toLowerCase()] || "nashvilleMNPD";
-  const p = registry[name];
-  if (!p) throw new Error(`No provider registered: ${name}`);
+  const def = resolveCity(city);
+  const p = registry[def.name];
+  if (!p) throw new Error(`No provider registered: ${def.name}`);
   return p;
 }
-module.exports = { resolveProvider };
+
+// Public description of each supported city, for GET /v1/cities.
+function listCities() {
+  return cities.map((def) => ({
+    slug: def.slug,
+    aliases: def.aliases || [],
+    displayName: def.displayName,
+    source: def.name,
+    agency: def.agency,
+    attribution: def.attribution,
+    timezone: def.timezone,
+    center: def.center,
+    bounds: def.bounds,
+  }));
+}
+
+// Area each city's feed covers, for geographic queries.
+function listCoverage() {
+  return cities.map((def) => ({ city: def.slug, provider: def.name, center: def.center, bounds: def.bounds }));
+}
+
+module.exports = { resolveCity, resolveProvider, listCities, listCoverage };
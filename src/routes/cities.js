@@ -0,0 +1,8 @@
+const { listCities } = require("../providers");
+
+async function citiesRoutes(fastify) {
+  // Supported cities with their aliases, map viewport, timezone and data attribution.
+  fastify.get("/v1/cities", async () => ({ cities: listCities() }));
+}
+
+module.exports = { citiesRoutes };
@@ -1,27 +1,103 @@
-const { cityTTL } = require("../config");
-const { resolveProvider } = require("../providers");
+const { resolveCity } = require("../providers");
+const { getCity } = require("../services/cityData");
+const { history } = require("../services/history");
+const { changes } = require("../services/changes");
+const { quality } = require("../services/quality");
+const { badRequest } = require("../lib/errors");
+const { parseTime } = require("../lib/params");
+const { parsePlaceQuery, applyPlaceQuery } = require("../lib/placeQuery");
+const { sendPlaces, negotiateFormat } = require("../lib/formats");
+const { clusterPlaces, parseClusterQuery } = require("../lib/cluster");
+const { parseWindow, parseGroupBy, computeStats } = require("../lib/stats");
+const { historyRetentionHours } = require("../config");
 
-const cache = new Map();
+const DAY_MS = 24 * 3600 * 1000;
 
 async function cityRoutes(fastify) {
+  async function loadCity(city, reply) {
+    const { data, cacheStatus, ageSeconds } = await getCity(city, { log: fastify.log });
+    reply.header("X-Cache", cacheStatus);
+    reply.header("Age", String(ageSeconds));
+    return data;
+  }
+
+  // Filters/sort/pagination (see lib/placeQuery) run on the cached payload only.
+  // ?format= / Accept pick json, geojson, csv or kml (see lib/formats).
+  // ?cluster=true&zoom= groups the filtered places for map display (see lib/cluster).
   fastify.get("/v1/city/:city", async (req, reply) => {
-    const city = req.params.city.toLowerCase();
-    const key = `city:${city}`;
-    const now = Date.now();
+    const cluster = parseClusterQuery(req.query);
+    // pagination doesn't apply to clusters, so a leftover cursor or limit isn't even parsed
+    const { cursor, limit, ...filters } = req.query;
+    const query = parsePlaceQuery(cluster ? filters : req.query);
+    if (cluster && !["json", "geojson"].includes(negotiateFormat(req))) {
+      throw badRequest(`cluster=true is only available as json or geojson`);
+    }
+    const data = await loadCity(req.params.city.toLowerCase(), reply);
 
-    const cached = cache.get(key);
-    if (cached && cached.expiresAt > now) {
-      reply.header("X-Cache", "hit");
-      return cached.data;
+    if (cluster) {
+      const places = query ? applyPlaceQuery(data.places, query).places : data.places;
+      const body = { ...data, zoom: cluster.zoom, total: places.length, ...clusterPlaces(places, cluster) };
+      return sendPlaces(req, reply, body, { filename: data.city });
     }
 
-    const provider = resolveProvider(city);
-    fastify.log.info({ city, provider: provider.name }, "fetching city");
-    const data = await provider.fetchCity(city);
+    const body = query ? { ...data, ...applyPlaceQuery(data.places, query) } : data;
+    return sendPlaces(req, reply, body, { filename: data.city });
+  });
 
-    cache.set(key, { data, expiresAt: now + cityTTL * 1000 });
-    reply.header("X-Cache", cached ? "stale-refresh" : "miss");
-    return data;
+  // created/updated/cleared events since a cursor returned by a previous call.
+  fastify.get("/v1/city/:city/changes", async (req, reply) => {
+    const { since } = req.query;
+    if (since != null && !/^\d+$/.test(String(since))) throw badRequest(`"since" must be a cursor returned by this endpoint`);
+
+    const data = await loadCity(req.params.city, reply);
+    return { city: data.city, source: data.source, ...changes.since(data.source, since) };
+  });
+
+  // Everything the server has observed for a city in [from, to]; defaults to the last 24h.
+  fastify.get("/v1/city/:city/history", async (req, reply) => {
+    const def = resolveCity(req.params.city);
+    const now = Date.now();
+    const to = parseTime(req.query.to, "to") ?? now;
+    const from = parseTime(req.query.from, "from") ?? to - DAY_MS;
+    if (from > to) throw badRequest(`"from" must not be after "to"`);
+
+    return sendPlaces(req, reply, {
+      city: def.slug,
+      source: def.name,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      places: history.query(def.name, { from, to }),
+    }, { filename: `${def.slug}-history` });
+  });
+
+  // Data-quality report of the latest fetch (with rejected samples) and counts for recent ones.
+  fastify.get("/v1/city/:city/quality", async (req, reply) => {
+    const data = await loadCity(req.params.city, reply);
+    return {
+      city: data.city,
+      source: data.source,
+      latest: quality.latest(data.source),
+      recent: quality.recent(data.source),
+    };
+  });
+
+  // Counts over observed places in the last `window`, grouped for charts (see lib/stats).
+  fastify.get("/v1/city/:city/stats", async (req) => {
+    const def = resolveCity(req.params.city);
+    const windowMs = parseWindow(req.query.window, { maxMs: historyRetentionHours * 3600 * 1000 });
+    const groupBy = parseGroupBy(req.query.groupBy);
+    const to = Date.now();
+    const from = to - windowMs;
+
+    return {
+      city: def.slug,
+      source: def.name,
+      window: req.query.window || "24h",
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      timezone: def.timezone,
+      ...computeStats(history.query(def.name, { from, to }), { groupBy, from, to, timeZone: def.timezone }),
+    };
   });
 }
 
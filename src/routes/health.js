@@ -1,5 +1,16 @@
+const { collectStatus } = require("../services/status");
+
 async function healthRoutes(fastify) {
     fastify.get("/healthz", async () => ({ ok: true }));
+
+    // Readiness: 503 only once every source has failed with nothing cached to serve.
+    fastify.get("/readyz", async (req, reply) => {
+      const { ready, sources } = await collectStatus();
+      reply.code(ready ? 200 : 503);
+      return { ready, sources: Object.fromEntries(sources.map((s) => [s.city, s.status])) };
+    });
+
+    // Per-source freshness, last success/error and upstream latency (e.g. for a "data delayed" banner).
+    fastify.get("/v1/status", async () => collectStatus());
   }
   module.exports = { healthRoutes };
-  
\ No newline at end of file
@@ -0,0 +1,124 @@
+const { HttpError, notFound, badRequest } = require("../lib/errors");
+
+// Operational endpoints stay open; admin routes use the admin token instead of a key.
+const OPEN = /^\/v1\/(?:status|admin)(?:[/?]|$)/;
+
+// `?apiKey=` only on routes that opt in (config.apiKeyQuery); elsewhere it would just
+// leak into logs and shared links.
+function keyFrom(req) {
+  return req.headers["x-api-key"] || (req.routeOptions.config?.apiKeyQuery ? req.query?.apiKey : undefined);
+}
+
+function rateLimitHeaders(reply, r) {
+  reply.header("RateLimit-Limit", String(r.limit));
+  reply.header("RateLimit-Remaining", String(r.remaining));
+  reply.header("RateLimit-Reset", String(r.resetSeconds));
+  reply.header("RateLimit-Policy", r.policy);
+}
+
+/**
+ * onRequest hook for /v1/*: identifies the caller by `X-API-Key` (or `?apiKey=` on the
+ * stream), counts the request against its rate limit and daily quota, and sets
+ * RateLimit-* headers. Without keys configured every request passes.
+ */
+function apiKeyHook(apiKeys) {
+  return async function (req, reply) {
+    if (!req.url.startsWith("/v1/") || OPEN.test(req.url)) return;
+
+    const secret = keyFrom(req);
+    if (!secret && !apiKeys.required) return;
+    if (!secret) throw new HttpError(401, "UNAUTHORIZED", "An API key is required (X-API-Key header)");
+
+    const key = apiKeys.authenticate(secret);
+    if (!key) throw new HttpError(401, "INVALID_API_KEY", "Unknown or disabled API key");
+    req.apiKey = key;
+    req.log = req.log.child({ apiKey: key.id });
+
+    let r;
+    try {
+      r = await apiKeys.consume(key);
+    } catch (err) {
+      // limits are best-effort: a counter store outage (Redis) lets requests through
+      req.log.warn({ err }, "usage counters unavailable; request not counted");
+      return;
+    }
+    rateLimitHeaders(reply, r);
+    if (!r.ok) {
+      req.log.warn({ reason: r.reason }, "api key limited");
+      throw r.reason === "quota"
+        ? new HttpError(429, "QUOTA_EXCEEDED", `Daily quota of ${r.limit} requests used up`, { retryAfterSeconds: r.resetSeconds })
+        : new HttpError(429, "RATE_LIMITED", `More than ${r.limit} requests in the current window`, { retryAfterSeconds: r.resetSeconds });
+    }
+  };
+}
+
+function parseKeyBody(body = {}) {
+  if (typeof body !== "object" || body === null) throw badRequest("Expected a JSON object");
+  const out = {};
+  if (body.id !== undefined) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(String(body.id))) throw badRequest('"id" must be 1-64 letters, digits, "-" or "_"');
+    out.id = String(body.id);
+  }
+  if (body.name !== undefined) out.name = String(body.name);
+  if (body.rateLimit !== undefined) {
+    const { max, windowSeconds } = body.rateLimit || {};
+    if (!(Number.isInteger(max) && max > 0) || !(Number.isInteger(windowSeconds) && windowSeconds > 0)) {
+      throw badRequest('"rateLimit" must be { max, windowSeconds } with positive integers');
+    }
+    out.rateLimit = { max, windowSeconds };
+  }
+  if (body.dailyQuota !== undefined) {
+    if (!(Number.isInteger(body.dailyQuota) && body.dailyQuota > 0)) throw badRequest('"dailyQuota" must be a positive integer');
+    out.dailyQuota = body.dailyQuota;
+  }
+  if (body.disabled !== undefined) out.disabled = Boolean(body.disabled);
+  return out;
+}
+
+async function keyRoutes(fastify, { apiKeys }) {
+  // Usage for the calling key (today's count, remaining quota, totals, rejections).
+  fastify.get("/v1/usage", async (req) => {
+    if (!req.apiKey) throw new HttpError(401, "UNAUTHORIZED", "An API key is required (X-API-Key header)");
+    return apiKeys.get(req.apiKey.id);
+  });
+
+  // Admin: Authorization: Bearer <ADMIN_TOKEN>. Disabled when no token is configured.
+  fastify.register(async (admin) => {
+    admin.addHook("onRequest", async (req) => {
+      const token = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+      if (!apiKeys.isAdmin(token)) throw new HttpError(401, "UNAUTHORIZED", "Admin token required");
+    });
+
+    admin.get("/v1/admin/keys", async () => ({ keys: await apiKeys.list() }));
+
+    admin.get("/v1/admin/keys/:id", async (req) => {
+      const key = await apiKeys.get(req.params.id);
+      if (!key) throw notFound("UNKNOWN_API_KEY", `No API key "${req.params.id}"`);
+      return key;
+    });
+
+    // The generated secret is only ever returned here.
+    admin.post("/v1/admin/keys", async (req, reply) => {
+      const fields = parseKeyBody(req.body);
+      if (fields.id && apiKeys.has(fields.id)) {
+        throw new HttpError(409, "API_KEY_EXISTS", `API key "${fields.id}" already exists`);
+      }
+      reply.code(201);
+      return apiKeys.create(fields);
+    });
+
+    admin.patch("/v1/admin/keys/:id", async (req) => {
+      const { id, ...patch } = parseKeyBody(req.body);
+      const key = await apiKeys.update(req.params.id, patch);
+      if (!key) throw notFound("UNKNOWN_API_KEY", `No API key "${req.params.id}"`);
+      return key;
+    });
+
+    admin.delete("/v1/admin/keys/:id", async (req, reply) => {
+      if (!(await apiKeys.remove(req.params.id))) throw notFound("UNKNOWN_API_KEY", `No API key "${req.params.id}"`);
+      return reply.code(204).send();
+    });
+  });
+}
+
+module.exports = { keyRoutes, apiKeyHook };
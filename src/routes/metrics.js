@@ -0,0 +1,11 @@
+const { register } = require("../services/metrics");
+
+async function metricsRoutes(fastify) {
+  // Prometheus scrape endpoint
+  fastify.get("/metrics", async (req, reply) => {
+    reply.type(register.contentType);
+    return register.metrics();
+  });
+}
+
+module.exports = { metricsRoutes };
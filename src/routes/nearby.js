@@ -0,0 +1,45 @@
+const { listCoverage } = require("../providers");
+const { getCity } = require("../services/cityData");
+const { haversineMiles, distanceToBoundsMiles } = require("../lib/geo");
+const { parseNumber } = require("../lib/params");
+const { sendPlaces } = require("../lib/formats");
+
+const DEFAULT_RADIUS_MILES = 2;
+const MAX_RADIUS_MILES = 50;
+
+async function nearbyRoutes(fastify) {
+  // Places within `radius` miles of a point, across every city whose coverage overlaps the circle.
+  fastify.get("/v1/nearby", async (req, reply) => {
+    const lat = parseNumber(req.query.lat, "lat", { min: -90, max: 90 });
+    const lon = parseNumber(req.query.lon, "lon", { min: -180, max: 180 });
+    const radius = req.query.radius == null
+      ? DEFAULT_RADIUS_MILES
+      : parseNumber(req.query.radius, "radius", { min: 0, max: MAX_RADIUS_MILES });
+    const point = { lat, lon };
+
+    const candidates = listCoverage().filter((c) => distanceToBoundsMiles(point, c.bounds) <= radius);
+    const results = await Promise.allSettled(candidates.map((c) => getCity(c.city, { log: fastify.log })));
+
+    const cities = [];
+    const places = [];
+    results.forEach((r, i) => {
+      const { city, provider } = candidates[i];
+      if (r.status === "rejected") {
+        fastify.log.warn({ err: r.reason, city }, "nearby: city fetch failed");
+        cities.push({ city, source: provider, ok: false, code: r.reason?.code, error: r.reason?.message || String(r.reason) });
+        return;
+      }
+      const { data, cacheStatus, ageSeconds } = r.value;
+      cities.push({ city, source: data.source, ok: true, fetchedAt: data.fetchedAt, stale: cacheStatus === "stale", ageSeconds });
+      for (const p of data.places) {
+        const d = haversineMiles(point, p);
+        if (d <= radius) places.push({ ...p, city, source: data.source, distanceMiles: Math.round(d * 1000) / 1000 });
+      }
+    });
+
+    places.sort((a, b) => a.distanceMiles - b.distanceMiles);
+    return sendPlaces(req, reply, { lat, lon, radiusMiles: radius, cities, places }, { filename: "nearby" });
+  });
+}
+
+module.exports = { nearbyRoutes };
@@ -0,0 +1,57 @@
+const { listCities, resolveCity } = require("../providers");
+const { getCity } = require("../services/cityData");
+const { badRequest } = require("../lib/errors");
+const { parseList } = require("../lib/params");
+const { parsePlaceQuery, applyPlaceQuery } = require("../lib/placeQuery");
+const { sendPlaces } = require("../lib/formats");
+
+// `cities=a,b` (slugs or aliases) or `cities=all` -> canonical slugs, deduplicated.
+function parseCities(value) {
+  const names = parseList(value);
+  const slugs = listCities().map((c) => c.slug);
+  if (!names) throw badRequest(`"cities" is required: a comma-separated list of cities, or "all"`, { cities: slugs });
+  if (names.some((n) => n.toLowerCase() === "all")) return slugs;
+
+  const out = new Set();
+  for (const name of names) {
+    try {
+      out.add(resolveCity(name).slug);
+    } catch {
+      throw badRequest(`Unknown city "${name}"`, { cities: slugs });
+    }
+  }
+  return [...out];
+}
+
+async function placesRoutes(fastify) {
+  // Several cities in one response, fetched in parallel through the city cache. Each
+  // place is tagged with its city and source; a city whose feed fails is reported in
+  // `cities` while the others still come back. Filters/pagination as for /v1/city/:city.
+  fastify.get("/v1/places", async (req, reply) => {
+    const slugs = parseCities(req.query.cities);
+    const query = parsePlaceQuery({ sort: "-callTimeReceived", ...req.query });
+    const results = await Promise.allSettled(slugs.map((city) => getCity(city, { log: fastify.log })));
+
+    const cities = [];
+    const places = [];
+    results.forEach((r, i) => {
+      const city = slugs[i];
+      if (r.status === "rejected") {
+        fastify.log.warn({ err: r.reason, city }, "places: city fetch failed");
+        cities.push({ city, source: resolveCity(city).name, ok: false, code: r.reason?.code, error: r.reason?.message || String(r.reason) });
+        return;
+      }
+      const { data, cacheStatus, ageSeconds } = r.value;
+      cities.push({
+        city, source: data.source, ok: true, fetchedAt: data.fetchedAt,
+        stale: cacheStatus === "stale", ageSeconds, count: data.places.length,
+      });
+      for (const p of data.places) places.push({ ...p, city, source: data.source });
+    });
+
+    const body = { partial: cities.some((c) => !c.ok), cities, ...applyPlaceQuery(places, query) };
+    return sendPlaces(req, reply, body, { filename: "places" });
+  });
+}
+
+module.exports = { placesRoutes };
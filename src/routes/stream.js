@@ -0,0 +1,115 @@
+const { streamHeartbeatSeconds } = require("../config");
+const { getCity } = require("../services/cityData");
+const { changes } = require("../services/changes");
+const { watch } = require("../services/refresher");
+const { badRequest } = require("../lib/errors");
+
+/**
+ * Live city stream, over SSE (plain GET) or WebSocket (Upgrade on the same URL).
+ *
+ * Every message carries an id (the change-feed cursor) and one of:
+ *   snapshot  full city payload; sent on connect, or when a resume id is too old
+ *   created | updated | cleared   change-feed events
+ * Resume with the SSE `Last-Event-ID` header or `?lastEventId=` (both transports).
+ */
+
+function parseLastEventId(req) {
+  const raw = req.headers["last-event-id"] ?? req.query.lastEventId;
+  if (raw == null || raw === "") return undefined;
+  if (!/^\d+$/.test(String(raw))) throw badRequest(`"lastEventId" must be an event id from this stream`);
+  return String(raw);
+}
+
+// Load the city up front (so fetch errors surface as normal HTTP errors), then hand
+// back a `start` that wires a transport to replay + live events + heartbeats.
+async function openStream(city, lastEventId, log) {
+  const { data } = await getCity(city, { log });
+  const source = data.source;
+
+  function start({ send, heartbeat }) {
+    let lastSeq = 0;
+    const deliver = (e) => {
+      if (e.seq <= lastSeq) return;
+      lastSeq = e.seq;
+      send({ id: String(e.seq), event: e.type, data: e });
+    };
+
+    // Subscribe before replaying; both happen synchronously, so nothing slips between.
+    const unsubscribe = changes.subscribe(source, deliver);
+    const replay = changes.since(source, lastEventId);
+    if (lastEventId != null && !replay.reset) {
+      replay.events.forEach(deliver);
+    } else {
+      send({ id: replay.cursor, event: "snapshot", data });
+    }
+    lastSeq = Math.max(lastSeq, Number(replay.cursor));
+
+    const release = watch(city, { log });
+    const timer = setInterval(heartbeat, streamHeartbeatSeconds * 1000);
+    timer.unref();
+
+    return function stop() {
+      clearInterval(timer);
+      unsubscribe();
+      release();
+    };
+  }
+
+  return { source, start };
+}
+
+async function streamRoutes(fastify) {
+  fastify.route({
+    method: "GET",
+    url: "/v1/city/:city/stream",
+    config: { apiKeyQuery: true }, // EventSource and browser WebSockets can't send headers
+
+    // Server-Sent Events
+    handler: async (req, reply) => {
+      const city = req.params.city.toLowerCase();
+      const stream = await openStream(city, parseLastEventId(req), fastify.log);
+
+      reply.hijack();
+      const res = reply.raw;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write("retry: 5000\n\n");
+
+      const stop = stream.start({
+        send: ({ id, event, data }) => res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+        heartbeat: () => res.write(`: heartbeat ${new Date().toISOString()}\n\n`),
+      });
+      res.on("close", stop);
+    },
+
+    // WebSocket: same events as JSON text frames { id, event, data }
+    wsHandler: async (socket, req) => {
+      const city = req.params.city.toLowerCase();
+      let stream;
+      try {
+        stream = await openStream(city, parseLastEventId(req), fastify.log);
+      } catch (err) {
+        // client errors get 1008 (policy violation), or 4404 for an unknown city, so they aren't retried like 1011
+        socket.send(JSON.stringify({ event: "error", data: { code: err.code, message: err.message } }));
+        socket.close(err.statusCode === 404 ? 4404 : err.statusCode < 500 ? 1008 : 1011);
+        return;
+      }
+      if (socket.readyState !== socket.OPEN) return; // client left while we were fetching
+
+      const stop = stream.start({
+        send: (msg) => socket.send(JSON.stringify(msg)),
+        heartbeat: () => {
+          socket.ping();
+          socket.send(JSON.stringify({ event: "heartbeat", data: { at: new Date().toISOString() } }));
+        },
+      });
+      socket.on("close", stop);
+    },
+  });
+}
+
+module.exports = { streamRoutes };
@@ -0,0 +1,48 @@
+const { HttpError, notFound } = require("../lib/errors");
+
+// Subscriptions belong to the API key that created them; the admin token sees them all.
+const ownerOf = (req) => req.webhookOwner;
+
+async function webhookRoutes(fastify, { webhooks, apiKeys }) {
+  // Deliveries go to caller-chosen URLs, so anonymous callers can't subscribe even when
+  // API keys are optional: an API key or the admin token (Authorization: Bearer) is needed.
+  fastify.decorateRequest("webhookOwner", null);
+  fastify.addHook("onRequest", async (req) => {
+    const token = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (token && apiKeys.isAdmin(token)) return;
+    if (!req.apiKey) throw new HttpError(401, "UNAUTHORIZED", "Webhooks need an API key (X-API-Key header) or the admin token");
+    req.webhookOwner = req.apiKey.id;
+  });
+
+  // { url, area: circle | GeoJSON Polygon, types? } -> 201 with the signing `secret` (shown once).
+  fastify.post("/v1/webhooks", async (req, reply) => {
+    const sub = webhooks.create(req.body, { owner: ownerOf(req) });
+    req.log.info({ subscription: sub.id, cities: sub.cities }, "webhook subscription created");
+    reply.code(201);
+    return sub;
+  });
+
+  fastify.get("/v1/webhooks", async (req) => ({ subscriptions: webhooks.list(ownerOf(req)) }));
+
+  fastify.get("/v1/webhooks/:id", async (req) => {
+    const sub = webhooks.get(req.params.id, ownerOf(req));
+    if (!sub) throw notFound("UNKNOWN_SUBSCRIPTION", `No webhook subscription "${req.params.id}"`);
+    return sub;
+  });
+
+  // Deliveries that exhausted their retries (most recent last).
+  fastify.get("/v1/webhooks/:id/dead-letters", async (req) => {
+    const deadLetters = webhooks.deadLetters(req.params.id, ownerOf(req));
+    if (!deadLetters) throw notFound("UNKNOWN_SUBSCRIPTION", `No webhook subscription "${req.params.id}"`);
+    return { deadLetters };
+  });
+
+  fastify.delete("/v1/webhooks/:id", async (req, reply) => {
+    if (!webhooks.remove(req.params.id, ownerOf(req))) {
+      throw notFound("UNKNOWN_SUBSCRIPTION", `No webhook subscription "${req.params.id}"`);
+    }
+    return reply.code(204).send();
+  });
+}
+
+module.exports = { webhookRoutes };
@@ -1,13 +1,7 @@
-const Fastify = require("fastify");
 const { port, logLevel } = require("./config");
-const { healthRoutes } = require("./routes/health");
-const { cityRoutes } = require("./routes/city");  
+const { buildApp } = require("./app");
 
-const isDev = process.env.NODE_ENV !== "production";
-const app = Fastify({ logger: { level: logLevel } });
-
-app.register(healthRoutes);
-app.register(cityRoutes);                       
+const app = buildApp({ logger: { level: logLevel } });
 
 app.ready().then(() => app.log.info(app.printRoutes())); 
 
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { apiKeys: defaults } = require("../config");
+const { createUsageCounters } = require("./usageCounters");
+
+/**
+ * API keys with a per-key request rate limit and daily quota.
+ *
+ * Keys come from API_KEYS_FILE and/or the admin endpoints (which write the file back
+ * when one is configured):
+ *   { "keys": [ { "id": "ios", "name": "iOS app", "key": "<secret>",
+ *                 "rateLimit": { "max": 120, "windowSeconds": 60 }, "dailyQuota": 100000,
+ *                 "disabled": false } ] }
+ * rateLimit / dailyQuota fall back to API_RATE_LIMIT, API_RATE_WINDOW_SECONDS and
+ * API_DAILY_QUOTA. Windows are fixed and the quota resets at 00:00 UTC. Counters live
+ * in Redis with CACHE_BACKEND=redis and in this process otherwise (services/usageCounters);
+ * the keys themselves are per process either way, read from the file at startup.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function loadFile(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(json) ? json : json.keys || [];
+}
+
+function createApiKeys({
+  file = defaults.file,
+  keys = loadFile(file),
+  required = defaults.required ?? Boolean(file || defaults.adminToken),
+  adminToken = defaults.adminToken,
+  rateLimit = defaults.rateLimit,
+  dailyQuota = defaults.dailyQuota,
+  counters = createUsageCounters(),
+  now = Date.now,
+} = {}) {
+  const byId = new Map();
+  const bySecret = new Map();
+
+  function add(k) {
+    if (!k.id || !k.key) throw new Error("API keys need an id and a key");
+    if (byId.has(k.id)) throw new Error(`Duplicate API key id: ${k.id}`);
+    const entry = { id: k.id, name: k.name || k.id, key: k.key, rateLimit: k.rateLimit, dailyQuota: k.dailyQuota, disabled: Boolean(k.disabled) };
+    byId.set(entry.id, entry);
+    bySecret.set(entry.key, entry);
+    return entry;
+  }
+  keys.forEach(add);
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: [...byId.values()] }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  const limitsOf = (k) => ({
+    max: k.rateLimit?.max ?? rateLimit.max,
+    windowMs: (k.rateLimit?.windowSeconds ?? rateLimit.windowSeconds) * 1000,
+    quota: k.dailyQuota ?? dailyQuota,
+  });
+
+  const dayStart = (t) => Math.floor(t / DAY_MS) * DAY_MS;
+
+  // Public view of a key: never the secret.
+  async function describe(k) {
+    const { max, windowMs, quota } = limitsOf(k);
+    const [today, u] = await Promise.all([counters.count(`${k.id}:day`, dayStart(now())), counters.stats(k.id)]);
+    return {
+      id: k.id,
+      name: k.name,
+      disabled: k.disabled,
+      rateLimit: { max, windowSeconds: windowMs / 1000 },
+      dailyQuota: quota,
+      usage: {
+        today,
+        quotaRemaining: Math.max(0, quota - today),
+        total: u.total,
+        rejected: u.rejected,
+        lastUsedAt: u.lastUsedAt && new Date(u.lastUsedAt).toISOString(),
+      },
+    };
+  }
+
+  return {
+    required,
+    adminToken,
+
+    /** The key for a secret, or null (unknown or disabled). */
+    authenticate(secret) {
+      const k = secret ? bySecret.get(String(secret)) : undefined;
+      return k && !k.disabled ? k : null;
+    },
+
+    isAdmin(token) {
+      if (!adminToken || !token) return false;
+      const a = Buffer.from(String(token));
+      const b = Buffer.from(adminToken);
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    },
+
+    /**
+     * Count one request against `key`.
+     * Returns { ok, reason?: "rate" | "quota", limit, remaining, resetSeconds, policy }
+     * describing whichever of the two limits is closer to running out.
+     */
+    async consume(key) {
+      const { max, windowMs, quota } = limitsOf(key);
+      const t = now();
+      const windowStart = Math.floor(t / windowMs) * windowMs;
+      const today = dayStart(t);
+      const rate = { counter: `${key.id}:rate`, bucket: windowStart, limit: max, resetSeconds: Math.ceil((windowStart + windowMs - t) / 1000) };
+      const day = { counter: `${key.id}:day`, bucket: today, limit: quota, resetSeconds: Math.ceil((today + DAY_MS - t) / 1000) };
+      const policy = `${max};w=${windowMs / 1000}, ${quota};w=${DAY_MS / 1000}`;
+
+      // Count first, then give the request back if it went over: concurrent requests
+      // (on any instance, with Redis) can't both take the last slot.
+      const reject = async (reason, taken) => {
+        await Promise.all(taken.map((c) => counters.decr(c.counter, c.bucket)));
+        await counters.mark(key.id, reason, t);
+        const hit = reason === "quota" ? day : rate;
+        return { ok: false, reason, limit: hit.limit, remaining: 0, resetSeconds: hit.resetSeconds, policy };
+      };
+
+      day.used = await counters.incr(day.counter, day.bucket, DAY_MS);
+      if (day.used > day.limit) return reject("quota", [day]);
+      rate.used = await counters.incr(rate.counter, rate.bucket, windowMs);
+      if (rate.used > rate.limit) return reject("rate", [day, rate]);
+
+      await counters.mark(key.id, "used", t);
+      const tighter = day.limit - day.used < rate.limit - rate.used ? day : rate;
+      return { ok: true, limit: tighter.limit, remaining: tighter.limit - tighter.used, resetSeconds: tighter.resetSeconds, policy };
+    },
+
+    list() {
+      return Promise.all([...byId.values()].map(describe));
+    },
+
+    has(id) {
+      return byId.has(id);
+    },
+
+    async get(id) {
+      const k = byId.get(id);
+      return k ? describe(k) : null;
+    },
+
+    /** Add a key; returns its public view plus the generated secret (shown only here). */
+    async create({ id, name, rateLimit: rl, dailyQuota: dq } = {}) {
+      const k = add({
+        id: id || crypto.randomBytes(4).toString("hex"),
+        name,
+        key: crypto.randomBytes(24).toString("base64url"),
+        rateLimit: rl,
+        dailyQuota: dq,
+      });
+      save();
+      return { ...(await describe(k)), key: k.key };
+    },
+
+    async update(id, patch = {}) {
+      const k = byId.get(id);
+      if (!k) return null;
+      for (const f of ["name", "rateLimit", "dailyQuota", "disabled"]) {
+        if (patch[f] !== undefined) k[f] = f === "disabled" ? Boolean(patch[f]) : patch[f];
+      }
+      save();
+      return describe(k);
+    },
+
+    async remove(id) {
+      const k = byId.get(id);
+      if (!k) return false;
+      byId.delete(id);
+      bySecret.delete(k.key);
+      save();
+      await counters.clear(id);
+      return true;
+    },
+  };
+}
+
+const apiKeys = createApiKeys();
+
+module.exports = { apiKeys, createApiKeys };
@@ -0,0 +1,55 @@
+const { cacheBackend, redisUrl } = require("../../config");
+const { createLruStore } = require("./lru");
+const { createRedisStore } = require("./redis");
+const { metrics } = require("../metrics");
+
+/**
+ * Cache front door. Every store has the same async interface:
+ *   get(key) -> value | undefined,  set(key, value, ttlMs),  delete(key)
+ *
+ * CACHE_BACKEND=memory (default) gives each named cache its own bounded LRU;
+ * CACHE_BACKEND=redis shares one Redis connection across instances, with keys
+ * prefixed by cache name. Redis failures never fail a request: they count in
+ * activedispatch_cache_errors_total, connection errors are logged at warn (once per
+ * outage) and failed operations at debug.
+ */
+
+let redisClient;
+let appLog = null;
+
+/** Logger for cache problems; buildApp passes the app's. Caches built without `log` use it. */
+function setCacheLogger(log) {
+  appLog = log;
+}
+
+function sharedRedis() {
+  if (!redisClient) {
+    const Redis = require("ioredis");
+    redisClient = new Redis(redisUrl, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+    let down = false;
+    redisClient.on("error", (err) => {
+      metrics.cacheErrors.inc({ cache: "redis", op: "connection" });
+      if (!down) appLog?.warn({ err, redisUrl: redisUrl.replace(/\/\/[^@/]*@/, "//") }, "redis connection error; caches degrade to misses");
+      down = true;
+    });
+    redisClient.on("ready", () => {
+      if (down) appLog?.info("redis connection restored");
+      down = false;
+    });
+  }
+  return redisClient;
+}
+
+function createCache({ name, maxEntries, backend = cacheBackend, client, log, onError } = {}) {
+  if (backend === "redis") {
+    const report = onError || ((err, op) => {
+      metrics.cacheErrors.inc({ cache: name, op });
+      (log || appLog)?.debug({ err, cache: name, op }, "cache operation failed; treated as a miss");
+    });
+    return createRedisStore({ client: client || sharedRedis(), prefix: `activedispatch:${name}:`, onError: report });
+  }
+  if (backend === "memory") return createLruStore({ maxEntries });
+  throw new Error(`Unknown cache backend: ${backend}`);
+}
+
+module.exports = { createCache, sharedRedis, setCacheLogger };
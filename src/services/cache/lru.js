@@ -0,0 +1,43 @@
+/**
+ * In-process LRU with per-entry TTL. Bounded by entry count; the least recently
+ * used entry is evicted first. Map iteration order doubles as recency order.
+ */
+function createLruStore({ maxEntries = 1000 } = {}) {
+  const map = new Map(); // key -> { value, expiresAt }
+
+  function live(key) {
+    const e = map.get(key);
+    if (!e) return undefined;
+    if (e.expiresAt <= Date.now()) {
+      map.delete(key);
+      return undefined;
+    }
+    return e;
+  }
+
+  return {
+    async get(key) {
+      const e = live(key);
+      if (!e) return undefined;
+      map.delete(key);
+      map.set(key, e); // mark most recently used
+      return e.value;
+    },
+
+    async set(key, value, ttlMs) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : Infinity });
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+
+    async delete(key) {
+      map.delete(key);
+    },
+
+    get size() {
+      return map.size;
+    },
+  };
+}
+
+module.exports = { createLruStore };
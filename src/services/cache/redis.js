@@ -0,0 +1,40 @@
+/**
+ * Redis-backed store. `client` is anything speaking the ioredis subset used here
+ * (get / set with PX / del), so tests can pass a local stand-in. Values are JSON.
+ *
+ * The cache is an optimization: a Redis outage degrades to misses instead of failing
+ * requests. `onError(err, op)` gets each failure (op: get | set | delete).
+ */
+function createRedisStore({ client, prefix = "", onError = () => {} }) {
+  return {
+    async get(key) {
+      try {
+        const raw = await client.get(prefix + key);
+        return raw == null ? undefined : JSON.parse(raw);
+      } catch (err) {
+        onError(err, "get");
+        return undefined;
+      }
+    },
+
+    async set(key, value, ttlMs) {
+      try {
+        const raw = JSON.stringify(value);
+        if (ttlMs) await client.set(prefix + key, raw, "PX", Math.max(1, Math.round(ttlMs)));
+        else await client.set(prefix + key, raw);
+      } catch (err) {
+        onError(err, "set");
+      }
+    },
+
+    async delete(key) {
+      try {
+        await client.del(prefix + key);
+      } catch (err) {
+        onError(err, "delete");
+      }
+    },
+  };
+}
+
+module.exports = { createRedisStore };
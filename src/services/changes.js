@@ -0,0 +1,115 @@
+const { EventEmitter } = require("events");
+const { changesMaxEvents } = require("../config");
+
+/**
+ * Change feed: diffs each adapter snapshot against the previous one for the same
+ * source and keeps a bounded log of typed events per source.
+ *
+ *   { seq, type: "created" | "updated" | "cleared", source, id, at, place, changed? }
+ *
+ * `seq` is global and monotonic, so it doubles as the client cursor.
+ */
+
+// Field paths that differ between two versions of a place ("extras.*" compared per key).
+function diffPlace(prev, next) {
+  const changed = [];
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  for (const k of keys) {
+    if (k === "extras") continue;
+    if (JSON.stringify(prev?.[k]) !== JSON.stringify(next?.[k])) changed.push(k);
+  }
+  const pe = prev?.extras || {};
+  const ne = next?.extras || {};
+  for (const k of new Set([...Object.keys(pe), ...Object.keys(ne)])) {
+    if (JSON.stringify(pe[k]) !== JSON.stringify(ne[k])) changed.push(`extras.${k}`);
+  }
+  return changed;
+}
+
+const SNAPSHOT = Symbol("snapshot");
+
+function createChangeFeed({ maxEvents = changesMaxEvents } = {}) {
+  let seq = 0;
+  const previous = new Map(); // source -> Map(id -> place)
+  const logs = new Map();     // source -> { events (oldest first), evictedThrough }
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream
+
+  function logFor(source) {
+    let log = logs.get(source);
+    if (!log) logs.set(source, (log = { events: [], evictedThrough: 0 }));
+    return log;
+  }
+
+  /** Diff a full snapshot ({ fetchedAt, places }) against the last one; returns the new events. */
+  function ingest(source, payload) {
+    const at = payload?.fetchedAt || new Date().toISOString();
+    const prev = previous.get(source) || new Map();
+    const next = new Map();
+    for (const p of payload?.places || []) if (p?.id) next.set(p.id, p);
+
+    const events = [];
+    for (const [id, place] of next) {
+      const before = prev.get(id);
+      if (!before) {
+        events.push({ seq: ++seq, type: "created", source, id, at, place });
+      } else {
+        const changed = diffPlace(before, place);
+        if (changed.length) events.push({ seq: ++seq, type: "updated", source, id, at, place, changed });
+      }
+    }
+    for (const [id, place] of prev) {
+      if (!next.has(id)) events.push({ seq: ++seq, type: "cleared", source, id, at, place });
+    }
+
+    const first = !previous.has(source);
+    previous.set(source, next);
+    const log = logFor(source);
+    log.events.push(...events);
+    if (log.events.length > maxEvents) {
+      const evicted = log.events.splice(0, log.events.length - maxEvents);
+      log.evictedThrough = evicted[evicted.length - 1].seq;
+    }
+    for (const e of events) emitter.emit(source, e);
+    emitter.emit(SNAPSHOT, { source, first, events });
+    return events;
+  }
+
+  /**
+   * Events for `source` after `cursor` (exclusive). `reset` is true when the cursor
+   * can't be honoured (events after it were evicted, or it predates a restart), so the
+   * client should refetch the full snapshot.
+   */
+  function since(source, cursor) {
+    const log = logFor(source);
+    const after = cursor == null ? 0 : Number(cursor);
+    const reset = cursor != null && (after < log.evictedThrough || after > seq);
+    return {
+      cursor: String(seq),
+      reset,
+      events: log.events.filter((e) => e.seq > (reset ? 0 : after)),
+    };
+  }
+
+  /** Call `fn(event)` for every new event of `source`; returns an unsubscribe function. */
+  function subscribe(source, fn) {
+    emitter.on(source, fn);
+    return () => emitter.off(source, fn);
+  }
+
+  /**
+   * Call `fn({ source, first, events })` after every ingested snapshot, for all sources.
+   * `first` marks a source's first snapshot in this process, whose "created" events are
+   * just the baseline rather than new incidents. Returns an unsubscribe function.
+   */
+  function onSnapshot(fn) {
+    emitter.on(SNAPSHOT, fn);
+    return () => emitter.off(SNAPSHOT, fn);
+  }
+
+  return { ingest, since, subscribe, onSnapshot };
+}
+
+const changes = createChangeFeed();
+
+module.exports = { createChangeFeed, changes, diffPlace };
@@ -0,0 +1,130 @@
+const { cityTTL, cityStaleTTL, cityCacheMaxEntries } = require("../config");
+const { resolveCity, resolveProvider } = require("../providers");
+const { history } = require("./history");
+const { changes } = require("./changes");
+const { quality } = require("./quality");
+const { metrics } = require("./metrics");
+const { createCache } = require("./cache");
+
+/**
+ * City payloads: the per-city cache plus the fetch pipeline every snapshot goes
+ * through (history + change feed), shared by the HTTP routes and the background
+ * refresher.
+ *
+ * Stale-while-revalidate: a payload is fresh for CITY_TTL_SECONDS, then served as
+ * "stale" for up to CITY_STALE_SECONDS more while one background refresh replaces it.
+ * If that refresh fails the last good payload keeps being served. Concurrent
+ * fetches of the same city share one upstream request.
+ */
+
+const cache = createCache({ name: "city", maxEntries: cityCacheMaxEntries });
+
+// city slug -> promise of the fetch in flight
+const inflight = new Map();
+
+// city slug -> { lastAttemptAt, lastSuccessAt, lastLatencyMs, lastError } (times in ms)
+const fetchLog = new Map();
+
+function noteFetch(city, started, err) {
+  const entry = fetchLog.get(city) || { lastAttemptAt: null, lastSuccessAt: null, lastLatencyMs: null, lastError: null };
+  const now = Date.now();
+  entry.lastAttemptAt = now;
+  entry.lastLatencyMs = now - started;
+  if (err) entry.lastError = { at: now, code: err.code, message: err.message };
+  else entry.lastSuccessAt = now;
+  fetchLog.set(city, entry);
+}
+
+async function fetchAndStore(city, log) {
+  const provider = resolveProvider(city);
+  log?.info({ city, provider: provider.name }, "fetching city");
+  const timer = metrics.adapterFetchSeconds.startTimer({ source: provider.name });
+  const started = Date.now();
+  let fetched;
+  try {
+    fetched = await provider.fetchCity(city);
+    timer({ status: "ok" });
+    noteFetch(city, started);
+  } catch (err) {
+    timer({ status: "error" });
+    noteFetch(city, started, err);
+    throw err;
+  }
+  const { quality: report, ...data } = fetched;
+
+  metrics.cityPlaces.set({ city, source: provider.name }, data.places.length);
+  if (report) {
+    // reasons from the previous fetch that didn't recur go back to zero
+    const reasons = { ...quality.latest(provider.name)?.dropped.reasons, ...report.dropped.reasons };
+    for (const reason of Object.keys(reasons)) {
+      metrics.cityDroppedRows.set({ city, source: provider.name, reason }, report.dropped.reasons[reason] || 0);
+    }
+    quality.record(provider.name, { city, source: provider.name, fetchedAt: data.fetchedAt, ...report });
+    const level = report.dropped.total ? "warn" : "info";
+    log?.[level]({ city, rawRows: report.rawRows, places: report.places, dropped: report.dropped.reasons }, "fetched city");
+  }
+
+  history.record(provider.name, data)
+    .catch((err) => log?.warn({ err, city }, "history write failed"));
+  changes.ingest(provider.name, data);
+
+  await cache.set(`city:${city}`, { data, expiresAt: Date.now() + cityTTL * 1000 }, (cityTTL + cityStaleTTL) * 1000);
+  return data;
+}
+
+/** Fetch a fresh snapshot from the city's adapter, record it, and cache it (single-flight). */
+async function refreshCity(city, { log } = {}) {
+  city = resolveCity(city).slug; // aliases share one cache entry
+  let p = inflight.get(city);
+  if (!p) {
+    p = fetchAndStore(city, log).finally(() => inflight.delete(city));
+    inflight.set(city, p);
+  }
+  return p;
+}
+
+function ageSeconds(data) {
+  const t = Date.parse(data?.fetchedAt);
+  return Number.isFinite(t) ? Math.max(0, Math.floor((Date.now() - t) / 1000)) : 0;
+}
+
+/**
+ * Cached payload for a city. Expired payloads are returned immediately while a
+ * refresh runs in the background; only a cold cache waits on the upstream.
+ * Resolves to { data, cacheStatus, ageSeconds } where cacheStatus is "hit" | "miss" | "stale".
+ */
+async function getCity(city, { log } = {}) {
+  city = resolveCity(city).slug;
+  const cached = await cache.get(`city:${city}`);
+
+  if (cached) {
+    const age = ageSeconds(cached.data);
+    if (cached.expiresAt > Date.now()) {
+      metrics.cityCache.inc({ city, result: "hit" });
+      return { data: cached.data, cacheStatus: "hit", ageSeconds: age };
+    }
+    metrics.cityCache.inc({ city, result: "stale" });
+
+    refreshCity(city, { log })
+      .catch((err) => log?.warn({ err, city, ageSeconds: age }, "refresh failed; serving stale payload"));
+    return { data: cached.data, cacheStatus: "stale", ageSeconds: age };
+  }
+
+  metrics.cityCache.inc({ city, result: "miss" });
+  const data = await refreshCity(city, { log });
+  return { data, cacheStatus: "miss", ageSeconds: ageSeconds(data) };
+}
+
+/** Cached payload (fresh or stale) without fetching; null when nothing is cached. */
+async function peekCity(city) {
+  city = resolveCity(city).slug;
+  const cached = await cache.get(`city:${city}`);
+  return cached ? { data: cached.data, ageSeconds: ageSeconds(cached.data), expired: cached.expiresAt <= Date.now() } : null;
+}
+
+/** This process's fetch bookkeeping for a city (null before the first attempt). */
+function fetchStatus(city) {
+  return fetchLog.get(resolveCity(city).slug) || null;
+}
+
+module.exports = { getCity, refreshCity, peekCity, fetchStatus };
@@ -1,48 +1,81 @@
-const { request } = require("undici");
+const {
+  geocoderProviders, geocodeTTL, geocodeApproximateTTL, geocodeCacheMaxEntries, opencageKey, nominatim, gazetteerFile,
+} = require("../config");
+const { createCache } = require("./cache");
+const { metrics } = require("./metrics");
+const { createOpenCage } = require("./geocoders/opencage");
+const { createNominatim } = require("./geocoders/nominatim");
+const { createGazetteer } = require("./geocoders/gazetteer");
 
-const KEY = process.env.OPENCAGE_KEY;
-const TTL = Number(process.env.GEOCODE_TTL_SECONDS || 30 * 24 * 3600);
+/**
+ * Geocoding front door. Providers ({ name, geocode(address) -> {lat, lon, formatted} | null })
+ * are tried in GEOCODER_PROVIDERS order; a miss or an error falls through to the next.
+ * Providers that aren't configured (e.g. opencage without OPENCAGE_KEY) are skipped.
+ * Hits from providers marked `approximate` are cached for approximateTtlSeconds only.
+ */
 
-// very simple in-memory cache (you can replace with Redis later)
-const cache = new Map();
+const FACTORIES = {
+  opencage: () => (opencageKey ? createOpenCage({ key: opencageKey }) : null),
+  nominatim: () => createNominatim(nominatim),
+  gazetteer: () => createGazetteer({ file: gazetteerFile }),
+};
+
+function buildProviders(names) {
+  return names
+    .map((n) => {
+      const make = FACTORIES[n];
+      if (!make) throw new Error(`Unknown geocoder provider: ${n}`);
+      return make();
+    })
+    .filter(Boolean);
+}
 
 function normalizeAddress(addr) {
   return String(addr || "").trim().replace(/\s+/g, " ").toLowerCase();
 }
 
-async function geocode(address) {
-  if (!KEY) throw new Error("OPENCAGE_KEY is not set");
-  const q = normalizeAddress(address);
-  const now = Date.now();
+function createGeocoder({
+  providers,
+  ttlSeconds = geocodeTTL,
+  approximateTtlSeconds = geocodeApproximateTTL,
+  cache = createCache({ name: "geocode", maxEntries: geocodeCacheMaxEntries }),
+}) {
+  async function geocode(address) {
+    const q = normalizeAddress(address);
 
-  const cached = cache.get(q);
-  if (cached && cached.expiresAt > now) return cached.data;
+    const cached = await cache.get(q);
+    metrics.geocodeCache.inc({ result: cached ? "hit" : "miss" });
+    if (cached) return cached;
 
-  const url = new URL("https://api.opencagedata.com/geocode/v1/json");
-  url.searchParams.set("q", address);
-  url.searchParams.set("key", KEY);
-  url.searchParams.set("limit", "1");
-  url.searchParams.set("no_annotations", "1");
+    const errors = [];
+    for (const p of providers) {
+      try {
+        const hit = await p.geocode(address);
+        if (hit && Number.isFinite(hit.lat) && Number.isFinite(hit.lon)) {
+          metrics.geocoderCalls.inc({ provider: p.name, outcome: "ok" });
+          const data = { lat: hit.lat, lon: hit.lon, formatted: hit.formatted, provider: p.name };
+          await cache.set(q, data, (p.approximate ? approximateTtlSeconds : ttlSeconds) * 1000);
+          return data;
+        }
+        metrics.geocoderCalls.inc({ provider: p.name, outcome: "no_result" });
+      } catch (err) {
+        metrics.geocoderCalls.inc({ provider: p.name, outcome: "error" });
+        errors.push(`${p.name}: ${err.message}`);
+      }
+    }
 
-  const res = await request(url.toString(), { method: "GET" });
-  if (res.statusCode >= 400) {
-    const text = await res.body.text();
-    throw new Error(`Geocode HTTP ${res.statusCode}: ${text.slice(0, 200)}`);
+    metrics.geocodeFailures.inc();
+    if (!providers.length) throw new Error("Geocode: no providers configured");
+    throw new Error(errors.length ? `Geocode failed (${errors.join("; ")})` : "Geocode: no results");
   }
-  const body = await res.body.json();
 
-  const hit = body?.results?.[0];
-  const lat = hit?.geometry?.lat;
-  const lon = hit?.geometry?.lng;
-  const formatted = hit?.formatted;
+  return { geocode };
+}
 
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    throw new Error("Geocode: no results");
-  }
+const defaultGeocoder = createGeocoder({ providers: buildProviders(geocoderProviders) });
 
-  const data = { lat, lon, formatted };
-  cache.set(q, { data, expiresAt: now + TTL * 1000 });
-  return data;
+function geocode(address) {
+  return defaultGeocoder.geocode(address);
 }
 
-module.exports = { geocode, normalizeAddress };
+module.exports = { geocode, normalizeAddress, createGeocoder, buildProviders };
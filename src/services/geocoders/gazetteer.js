@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Offline gazetteer: resolves intersections ("A St / B St") and, where the data has
+ * house-number ranges, street addresses, from bundled street centerlines. No network.
+ *
+ * Data file shape (see scripts/build-gazetteer.js):
+ *   { "<city>, <st>": { "<street name>": [ { line: [[lon, lat], ...], from?, to? }, ... ] } }
+ */
+
+const BUNDLED = path.join(__dirname, "..", "..", "data", "gazetteer.json");
+
+const TOKENS = new Map(Object.entries({
+  street: "st", avenue: "ave", av: "ave", boulevard: "blvd", road: "rd", drive: "dr",
+  court: "ct", lane: "ln", place: "pl", terrace: "ter", parkway: "pkwy", pike: "pk",
+  highway: "hwy", freeway: "fwy", circle: "cir", square: "sq", junior: "jr",
+  north: "n", south: "s", east: "e", west: "w",
+  northeast: "ne", northwest: "nw", southeast: "se", southwest: "sw",
+}));
+const DIRECTIONS = new Set(["n", "s", "e", "w", "ne", "nw", "se", "sw"]);
+const SUFFIXES = new Set(["st", "ave", "blvd", "rd", "dr", "ct", "ln", "pl", "ter", "pkwy", "pk", "hwy", "fwy", "cir", "sq", "way"]);
+
+function normStreet(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[.,#]/g, " ")
+    .replace(/\bi-?(\d+)\b/g, "i$1")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => TOKENS.get(t) || t)
+    .join(" ");
+}
+
+// Looser spellings of a normalized name: without leading direction, without trailing type.
+function variants(name) {
+  const parts = name.split(" ");
+  const out = [name];
+  const noDir = DIRECTIONS.has(parts[0]) && parts.length > 1 ? parts.slice(1) : parts;
+  const noSuffix = (p) => (SUFFIXES.has(p[p.length - 1]) && p.length > 1 ? p.slice(0, -1) : p);
+  out.push(noDir.join(" "), noSuffix(parts).join(" "), noSuffix(noDir).join(" "));
+  return [...new Set(out)];
+}
+
+// "18th St / Castro St, San Francisco, CA" -> { city: "san francisco, ca", street: "18th St / Castro St" }
+function splitAddress(address) {
+  const parts = String(address || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (parts.length >= 3 && /^[a-z]{2}$/i.test(parts[parts.length - 1])) {
+    return { street: parts.slice(0, -2).join(" "), city: `${parts[parts.length - 2]}, ${parts[parts.length - 1]}`.toLowerCase() };
+  }
+  return { street: parts[0] || "", city: undefined };
+}
+
+// Intersection of segments p1-p2 and p3-p4 ([lon, lat]), or null.
+function segmentIntersection(p1, p2, p3, p4) {
+  const d = (p2[0] - p1[0]) * (p4[1] - p3[1]) - (p2[1] - p1[1]) * (p4[0] - p3[0]);
+  if (d === 0) return null;
+  const t = ((p3[0] - p1[0]) * (p4[1] - p3[1]) - (p3[1] - p1[1]) * (p4[0] - p3[0])) / d;
+  const u = ((p3[0] - p1[0]) * (p2[1] - p1[1]) - (p3[1] - p1[1]) * (p2[0] - p1[0])) / d;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])];
+}
+
+// Where two streets cross; falls back to the closest pair of vertices when they nearly touch
+// (centerlines of divided roads and freeway ramps rarely share an exact point).
+const NEAR_DEG = 0.0015; // ~150 m
+
+function crossing(segsA, segsB) {
+  let best = null;
+  let bestD = Infinity;
+  for (const a of segsA) {
+    for (const b of segsB) {
+      for (let i = 1; i < a.line.length; i++) {
+        for (let j = 1; j < b.line.length; j++) {
+          const hit = segmentIntersection(a.line[i - 1], a.line[i], b.line[j - 1], b.line[j]);
+          if (hit) return hit;
+        }
+      }
+      for (const pa of a.line) {
+        for (const pb of b.line) {
+          const d = Math.hypot(pa[0] - pb[0], pa[1] - pb[1]);
+          if (d < bestD) { bestD = d; best = [(pa[0] + pb[0]) / 2, (pa[1] + pb[1]) / 2]; }
+        }
+      }
+    }
+  }
+  return bestD <= NEAR_DEG ? best : null;
+}
+
+// Interpolate a house number along the segment whose [from, to] range contains it.
+function interpolate(segs, number) {
+  for (const s of segs) {
+    if (s.from == null || s.to == null) continue;
+    const lo = Math.min(s.from, s.to);
+    const hi = Math.max(s.from, s.to);
+    if (number < lo || number > hi) continue;
+    const frac = s.to === s.from ? 0.5 : (number - s.from) / (s.to - s.from);
+
+    const lens = [];
+    let total = 0;
+    for (let i = 1; i < s.line.length; i++) {
+      const l = Math.hypot(s.line[i][0] - s.line[i - 1][0], s.line[i][1] - s.line[i - 1][1]);
+      lens.push(l);
+      total += l;
+    }
+    let target = frac * total;
+    for (let i = 1; i < s.line.length; i++) {
+      if (target <= lens[i - 1] || i === s.line.length - 1) {
+        const t = lens[i - 1] ? Math.min(1, target / lens[i - 1]) : 0;
+        const [x1, y1] = s.line[i - 1];
+        const [x2, y2] = s.line[i];
+        return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+      }
+      target -= lens[i - 1];
+    }
+  }
+  return null;
+}
+
+function loadData(files) {
+  const data = {};
+  for (const file of files) {
+    if (!file || !fs.existsSync(file)) continue;
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [city, streets] of Object.entries(json)) {
+      const target = (data[city.toLowerCase()] ||= {});
+      for (const [name, segs] of Object.entries(streets)) {
+        const key = normStreet(name);
+        target[key] = (target[key] || []).concat(segs);
+      }
+    }
+  }
+  return data;
+}
+
+function createGazetteer({ file } = {}) {
+  const data = loadData([BUNDLED, file]);
+
+  // city -> Map(variant -> segments); exact names win over looser variants
+  const index = new Map();
+  for (const [city, streets] of Object.entries(data)) {
+    const m = new Map();
+    for (const [name, segs] of Object.entries(streets)) {
+      const [exact, ...loose] = variants(name);
+      m.set(exact, segs);
+      for (const v of loose) if (!m.has(v)) m.set(v, segs);
+    }
+    index.set(city, m);
+  }
+
+  function findStreet(cityIndex, name) {
+    for (const v of variants(normStreet(name))) {
+      const segs = cityIndex.get(v);
+      if (segs) return segs;
+    }
+    return null;
+  }
+
+  return {
+    name: "gazetteer",
+    approximate: true, // street-centerline estimates; see geocode.js
+
+    async geocode(address) {
+      const { street, city } = splitAddress(address);
+      const cities = city ? [city] : [...index.keys()];
+
+      for (const c of cities) {
+        const cityIndex = index.get(c);
+        if (!cityIndex) continue;
+
+        const sides = street.split(/\s*(?:\/|\\|&|\band\b)\s*/i).filter(Boolean);
+        let point = null;
+        if (sides.length >= 2) {
+          const a = findStreet(cityIndex, sides[0]);
+          const b = findStreet(cityIndex, sides[1]);
+          if (a && b) point = crossing(a, b);
+        } else {
+          const m = street.match(/^(\d+)\s+(.+)$/);
+          const segs = m && findStreet(cityIndex, m[2]);
+          if (segs) point = interpolate(segs, Number(m[1]));
+        }
+        if (point) return { lat: point[1], lon: point[0], formatted: address };
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = { createGazetteer, normStreet };
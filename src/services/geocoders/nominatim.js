@@ -0,0 +1,38 @@
+const { upstream } = require("../upstream");
+
+// Nominatim-compatible search API (OSM's public instance, or a self-hosted one).
+// The public instance allows ~1 request/second and requires a real User-Agent,
+// so calls are spaced by `minIntervalMs`.
+function createNominatim({ url, userAgent, email, minIntervalMs = 1000 }) {
+  let nextSlot = 0;
+
+  async function throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + minIntervalMs;
+    if (wait) await new Promise((r) => setTimeout(r, wait));
+  }
+
+  return {
+    name: "nominatim",
+
+    async geocode(address) {
+      const u = new URL(url);
+      u.searchParams.set("q", address);
+      u.searchParams.set("format", "jsonv2");
+      u.searchParams.set("limit", "1");
+      if (email) u.searchParams.set("email", email);
+
+      await throttle();
+      const body = await upstream.fetchJson("geocoder:nominatim", u.toString(), { headers: { "User-Agent": userAgent } });
+
+      const hit = Array.isArray(body) ? body[0] : undefined;
+      const lat = Number(hit?.lat);
+      const lon = Number(hit?.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      return { lat, lon, formatted: hit?.display_name };
+    },
+  };
+}
+
+module.exports = { createNominatim };
@@ -0,0 +1,26 @@
+const { upstream } = require("../upstream");
+
+// OpenCage (paid, keyed). https://opencagedata.com/api
+function createOpenCage({ key }) {
+  return {
+    name: "opencage",
+
+    async geocode(address) {
+      const url = new URL("https://api.opencagedata.com/geocode/v1/json");
+      url.searchParams.set("q", address);
+      url.searchParams.set("key", key);
+      url.searchParams.set("limit", "1");
+      url.searchParams.set("no_annotations", "1");
+
+      const body = await upstream.fetchJson("geocoder:opencage", url.toString());
+
+      const hit = body?.results?.[0];
+      const lat = hit?.geometry?.lat;
+      const lon = hit?.geometry?.lng;
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      return { lat, lon, formatted: hit?.formatted };
+    },
+  };
+}
+
+module.exports = { createOpenCage };
@@ -0,0 +1,197 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { historyFile, historyRetentionHours } = require("../config");
+
+/**
+ * Incident history: every normalized place an adapter has returned, with the
+ * first and last time we saw it in a snapshot.
+ *
+ * Storage is an append-only JSONL file that is folded into memory on first use.
+ * Line kinds:
+ *   { t: "place", source, at, place }                       new place, or its contents changed
+ *   { t: "seen", source, at, ids }                          ids present in a snapshot taken at `at`
+ *   { t: "entry", source, firstSeenAt, lastSeenAt, place }  written by compaction
+ *
+ * The log is rewritten as "entry" lines (compacted) on load, after a prune drops
+ * something, and whenever `compactLines` lines or `compactBytes` bytes were appended
+ * since the last rewrite, so it stays bounded even when nothing expires.
+ */
+
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+const COMPACT_LINES = 10000;
+const COMPACT_BYTES = 16 * 1024 * 1024;
+
+function toMs(ts) {
+  const n = typeof ts === "number" ? ts : Date.parse(ts);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function createHistoryStore({
+  file = historyFile,
+  retentionHours = historyRetentionHours,
+  compactLines = COMPACT_LINES,
+  compactBytes = COMPACT_BYTES,
+} = {}) {
+  const retentionMs = retentionHours * 3600 * 1000;
+  // source -> Map(id -> { place, hash, firstSeenAt, lastSeenAt })  (times in ms)
+  const bySource = new Map();
+  let loaded = false;
+  let lastPrune = 0;
+  let writing = Promise.resolve();
+  let appended = { lines: 0, bytes: 0 }; // since the last compaction
+
+  function entriesFor(source) {
+    let m = bySource.get(source);
+    if (!m) bySource.set(source, (m = new Map()));
+    return m;
+  }
+
+  function applyLine(line) {
+    const m = entriesFor(line.source);
+    if (line.t === "place" || line.t === "entry") {
+      const id = line.place?.id;
+      if (!id) return;
+      const first = toMs(line.firstSeenAt ?? line.at);
+      const last = toMs(line.lastSeenAt ?? line.at);
+      const prev = m.get(id);
+      m.set(id, {
+        place: line.place,
+        hash: JSON.stringify(line.place),
+        firstSeenAt: prev ? Math.min(prev.firstSeenAt, first) : first,
+        lastSeenAt: prev ? Math.max(prev.lastSeenAt, last) : last,
+      });
+    } else if (line.t === "seen") {
+      const at = toMs(line.at);
+      for (const id of line.ids || []) {
+        const e = m.get(id);
+        if (e && at > e.lastSeenAt) e.lastSeenAt = at;
+      }
+    }
+  }
+
+  // Serialize file writes; one failed write must not wedge the ones after it.
+  function enqueue(fn) {
+    const p = writing.then(() => fsp.mkdir(path.dirname(file), { recursive: true })).then(fn);
+    writing = p.catch(() => {});
+    return p;
+  }
+
+  function append(lines) {
+    if (!file || !lines.length) return writing;
+    const text = lines.map((l) => JSON.stringify(l)).join("\n") + "\n";
+    appended.lines += lines.length;
+    appended.bytes += Buffer.byteLength(text);
+    return enqueue(() => fsp.appendFile(file, text));
+  }
+
+  function compact() {
+    if (!file) return writing;
+    appended = { lines: 0, bytes: 0 };
+    const lines = [];
+    for (const [source, m] of bySource) {
+      for (const e of m.values()) {
+        lines.push({
+          t: "entry",
+          source,
+          firstSeenAt: new Date(e.firstSeenAt).toISOString(),
+          lastSeenAt: new Date(e.lastSeenAt).toISOString(),
+          place: e.place,
+        });
+      }
+    }
+    const text = lines.map((l) => JSON.stringify(l) + "\n").join("");
+    const tmp = `${file}.tmp`;
+    return enqueue(() => fsp.writeFile(tmp, text).then(() => fsp.rename(tmp, file)));
+  }
+
+  function prune(now = Date.now()) {
+    const cutoff = now - retentionMs;
+    let dropped = 0;
+    for (const m of bySource.values()) {
+      for (const [id, e] of m) {
+        if (e.lastSeenAt < cutoff) { m.delete(id); dropped++; }
+      }
+    }
+    lastPrune = now;
+    return dropped;
+  }
+
+  function ensureLoaded() {
+    if (loaded) return;
+    loaded = true;
+    if (!file || !fs.existsSync(file)) return;
+
+    const text = fs.readFileSync(file, "utf8");
+    for (const raw of text.split("\n")) {
+      if (!raw.trim()) continue;
+      try { applyLine(JSON.parse(raw)); } catch { /* skip torn/corrupt lines */ }
+    }
+    prune();
+    compact().catch(() => { /* keep the uncompacted log; retried at the next prune */ });
+  }
+
+  /**
+   * Record a full adapter snapshot ({ source, fetchedAt, places }).
+   * Memory is updated synchronously; the returned promise settles once the lines hit disk.
+   */
+  function record(source, payload) {
+    ensureLoaded();
+    const at = toMs(payload?.fetchedAt) ?? Date.now();
+    const atISO = new Date(at).toISOString();
+    const m = entriesFor(source);
+    const lines = [];
+    const seen = [];
+
+    for (const place of payload?.places || []) {
+      if (!place?.id) continue;
+      const hash = JSON.stringify(place);
+      const e = m.get(place.id);
+      if (!e || e.hash !== hash) {
+        applyLine({ t: "place", source, at: atISO, place });
+        lines.push({ t: "place", source, at: atISO, place });
+      } else {
+        if (at > e.lastSeenAt) e.lastSeenAt = at;
+        seen.push(place.id);
+      }
+    }
+    if (seen.length) lines.push({ t: "seen", source, at: atISO, ids: seen });
+
+    const pruned = Date.now() - lastPrune > PRUNE_EVERY_MS && prune() > 0;
+    const written = append(lines);
+    // compaction is queued behind the append and snapshots the (already updated) memory
+    if (pruned || appended.lines >= compactLines || appended.bytes >= compactBytes) return compact();
+    return written;
+  }
+
+  /**
+   * Places of `source` whose [firstSeenAt, lastSeenAt] overlaps [from, to] (ms or ISO),
+   * most recently seen first.
+   */
+  function query(source, { from = 0, to = Date.now() } = {}) {
+    ensureLoaded();
+    const fromMs = toMs(from);
+    const toMsVal = toMs(to);
+    const out = [];
+    for (const e of (bySource.get(source) || new Map()).values()) {
+      if (e.firstSeenAt > toMsVal || e.lastSeenAt < fromMs) continue;
+      out.push({
+        ...e.place,
+        firstSeenAt: new Date(e.firstSeenAt).toISOString(),
+        lastSeenAt: new Date(e.lastSeenAt).toISOString(),
+      });
+    }
+    return out.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+  }
+
+  // Resolves once every queued write has been flushed (handy for tests and shutdown).
+  function flush() {
+    return writing;
+  }
+
+  return { record, query, flush };
+}
+
+const history = createHistoryStore();
+
+module.exports = { createHistoryStore, history };
@@ -0,0 +1,76 @@
+const client = require("prom-client");
+
+/**
+ * Prometheus metrics, served at GET /metrics. Instrumented modules import the
+ * collectors they update; everything lives in one registry with process defaults.
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const PREFIX = "activedispatch_";
+
+const metrics = {
+  adapterFetchSeconds: new client.Histogram({
+    name: `${PREFIX}adapter_fetch_duration_seconds`,
+    help: "Adapter fetch latency (upstream request, parsing and geocoding), by result",
+    labelNames: ["source", "status"],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 40],
+    registers: [register],
+  }),
+  upstreamResponses: new client.Counter({
+    name: `${PREFIX}upstream_responses_total`,
+    help: "Outbound HTTP attempts by source and HTTP status (or timeout / network / circuit_open)",
+    labelNames: ["source", "code"],
+    registers: [register],
+  }),
+  cityPlaces: new client.Gauge({
+    name: `${PREFIX}city_places`,
+    help: "Places in the latest successful fetch of each city",
+    labelNames: ["city", "source"],
+    registers: [register],
+  }),
+  cityDroppedRows: new client.Gauge({
+    name: `${PREFIX}city_dropped_rows`,
+    help: "Raw rows dropped in the latest fetch of each city, by reason",
+    labelNames: ["city", "source", "reason"],
+    registers: [register],
+  }),
+  cityCache: new client.Counter({
+    name: `${PREFIX}city_cache_requests_total`,
+    help: "City payload lookups by cache result (hit, miss, stale)",
+    labelNames: ["city", "result"],
+    registers: [register],
+  }),
+  geocodeCache: new client.Counter({
+    name: `${PREFIX}geocode_cache_requests_total`,
+    help: "Geocode lookups by cache result (hit, miss)",
+    labelNames: ["result"],
+    registers: [register],
+  }),
+  geocoderCalls: new client.Counter({
+    name: `${PREFIX}geocoder_requests_total`,
+    help: "Calls to each geocoding provider by outcome (ok, no_result, error); opencage calls are billed",
+    labelNames: ["provider", "outcome"],
+    registers: [register],
+  }),
+  geocodeFailures: new client.Counter({
+    name: `${PREFIX}geocode_failures_total`,
+    help: "Addresses no provider could geocode",
+    registers: [register],
+  }),
+  cacheErrors: new client.Counter({
+    name: `${PREFIX}cache_errors_total`,
+    help: "Failed cache operations (served as misses) and Redis connection errors, by cache and operation",
+    labelNames: ["cache", "op"],
+    registers: [register],
+  }),
+  webhookDeliveries: new client.Counter({
+    name: `${PREFIX}webhook_deliveries_total`,
+    help: "Webhook delivery attempts by outcome (delivered, retried, dead_letter)",
+    labelNames: ["outcome"],
+    registers: [register],
+  }),
+};
+
+module.exports = { register, metrics };
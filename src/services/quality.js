@@ -0,0 +1,38 @@
+const { qualityReportsKept } = require("../config");
+
+/**
+ * Data-quality reports: one per adapter fetch (raw rows, geocode failures, missing
+ * timestamps, schema violations, dropped rows by reason, rejected samples), kept per
+ * source in memory for GET /v1/city/:city/quality.
+ */
+
+// Per-fetch counts without the samples, for the recent-fetches trend.
+function summarize(report) {
+  const { rejectedSamples, ...counts } = report;
+  return counts;
+}
+
+function createQualityLog({ keep = qualityReportsKept } = {}) {
+  const reports = new Map(); // source -> reports, newest first
+
+  return {
+    record(source, report) {
+      const list = reports.get(source) || [];
+      list.unshift(report);
+      if (list.length > keep) list.length = keep;
+      reports.set(source, list);
+    },
+
+    latest(source) {
+      return reports.get(source)?.[0] || null;
+    },
+
+    recent(source) {
+      return (reports.get(source) || []).map(summarize);
+    },
+  };
+}
+
+const quality = createQualityLog();
+
+module.exports = { quality, createQualityLog };
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { recordings: defaults } = require("../config");
+const { shiftTimestamps } = require("../lib/timeShift");
+
+/**
+ * Record and replay of upstream responses (city feeds and geocoders), hooked into the
+ * upstream client. DATA_SOURCE picks the mode:
+ *
+ *   live     normal operation (default)
+ *   record   live, and every successful response is also saved under RECORDINGS_DIR
+ *   replay   no network: responses come from RECORDINGS_DIR
+ *
+ * One file per response: <dir>/<source>/<recordedAt>-<n>.json holding
+ *   { source, method, url, recordedAt, status, body }
+ * Credentials (key, token, … query parameters) are stripped from the saved URL.
+ *
+ * Replay serves a source's recordings for a URL in recorded order, one per request,
+ * then stays on the last (or starts over with REPLAY_LOOP). A city feed whose URL
+ * changed since recording falls back to its only recorded URL; geocoder lookups
+ * (geocoder:* sources) only ever match their exact query. With REPLAY_TIME_SHIFT every
+ * body's timestamps move by the same offset: the earliest recording appears to have
+ * been fetched when replay started, and later ones keep their spacing.
+ */
+
+const SECRET_PARAMS = /^(?:key|api_?key|token|app_?token|access_token|client_secret)$/i;
+
+// URL without credential parameters; also the replay lookup key (with the method).
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const k of [...u.searchParams.keys()]) if (SECRET_PARAMS.test(k)) u.searchParams.delete(k);
+    u.searchParams.sort();
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+const dirName = (source) => source.replace(/[^A-Za-z0-9_-]/g, "_");
+const isGeocoder = (source) => source.startsWith("geocoder:");
+const stamp = (ms) => new Date(ms).toISOString().replace(/[-:.]/g, "");
+
+function createRecorder({ dir = defaults.dir, now = Date.now } = {}) {
+  let n = 0;
+  return {
+    /** Save one response; resolves once written (callers don't wait). */
+    async record(source, { method = "GET", url, status, body }) {
+      const recordedAt = now();
+      const folder = path.join(dir, dirName(source));
+      const file = path.join(folder, `${stamp(recordedAt)}-${String(++n).padStart(6, "0")}.json`);
+      await fsp.mkdir(folder, { recursive: true });
+      const entry = { source, method, url: redactUrl(url), recordedAt: new Date(recordedAt).toISOString(), status, body };
+      await fsp.writeFile(file, JSON.stringify(entry, null, 2));
+      return file;
+    },
+  };
+}
+
+function createReplayer({ dir = defaults.dir, timeShift = defaults.timeShift, loop = defaults.loop, now = Date.now } = {}) {
+  const sources = new Map(); // source folder -> Map(method + url -> { entries, next })
+  let offset = null;         // ms added to replayed timestamps, fixed at the first replay
+
+  function load(source) {
+    const name = dirName(source);
+    let byKey = sources.get(name);
+    if (byKey) return byKey;
+    byKey = new Map();
+    const folder = path.join(dir, name);
+    const files = fs.existsSync(folder) ? fs.readdirSync(folder).filter((f) => f.endsWith(".json")).sort() : [];
+    for (const f of files) {
+      const file = path.join(folder, f);
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        throw Object.assign(new Error(`Unreadable recording ${file}: ${err.message}`), { code: "BAD_RECORDING" });
+      }
+      const key = `${entry.method || "GET"} ${redactUrl(entry.url)}`;
+      if (!byKey.has(key)) byKey.set(key, { entries: [], next: 0 });
+      byKey.get(key).entries.push(entry);
+    }
+    sources.set(name, byKey);
+    return byKey;
+  }
+
+  // One shift for the whole replay (its start minus the earliest recording), so the
+  // spacing between recordings, and an incident seen in several of them, is preserved.
+  function shift() {
+    if (offset !== null) return offset;
+    const folders = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory()) : [];
+    let earliest = Infinity;
+    for (const d of folders) {
+      for (const track of load(d.name).values()) {
+        for (const e of track.entries) earliest = Math.min(earliest, Date.parse(e.recordedAt) || Infinity);
+      }
+    }
+    offset = Number.isFinite(earliest) ? now() - earliest : 0;
+    return offset;
+  }
+
+  return {
+    /** Next recorded { status, body, recordedAt } for this request, or null when there is none. */
+    next(source, { method = "GET", url }) {
+      const byKey = load(source);
+      const fallback = byKey.size === 1 && !isGeocoder(source) ? [...byKey.values()][0] : null;
+      const track = byKey.get(`${method} ${redactUrl(url)}`) || fallback;
+      if (!track) return null;
+
+      let i = track.next;
+      if (i >= track.entries.length) i = loop ? 0 : track.entries.length - 1;
+      track.next = i + 1;
+
+      const entry = track.entries[i];
+      const recordedAt = Date.parse(entry.recordedAt);
+      const body = timeShift && Number.isFinite(recordedAt)
+        ? shiftTimestamps(entry.body, shift(), { around: recordedAt })
+        : entry.body;
+      return { status: entry.status, body, recordedAt: entry.recordedAt };
+    },
+  };
+}
+
+/** Upstream client options for the configured DATA_SOURCE. */
+function dataSourceOptions({ mode = defaults.mode } = {}) {
+  if (mode === "record") return { recorder: createRecorder() };
+  if (mode === "replay") return { replayer: createReplayer() };
+  if (mode !== "live") throw new Error(`DATA_SOURCE must be live, record or replay (got "${mode}")`);
+  return {};
+}
+
+module.exports = { createRecorder, createReplayer, dataSourceOptions, redactUrl };
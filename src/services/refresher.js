@@ -0,0 +1,48 @@
+const { streamRefreshSeconds } = require("../config");
+const { resolveProvider } = require("../providers");
+const { refreshCity } = require("./cityData");
+
+/**
+ * Background refresh for cities that have live subscribers. Each source is polled
+ * every STREAM_REFRESH_SECONDS while at least one watcher holds it; new snapshots flow
+ * through cityData, so the change feed (and every open stream) sees the deltas.
+ */
+
+// source -> { city, watchers, timer, running }
+const watched = new Map();
+
+/** Start (or join) background refresh for a city; returns a release function. */
+function watch(city, { log } = {}) {
+  const source = resolveProvider(city).name;
+  let w = watched.get(source);
+  if (!w) {
+    w = { city, watchers: 0, timer: null, running: false };
+    const entry = w;
+    entry.timer = setInterval(async () => {
+      if (entry.running) return; // previous fetch still in flight
+      entry.running = true;
+      try {
+        await refreshCity(entry.city, { log });
+      } catch (err) {
+        log?.warn({ err, city: entry.city }, "background refresh failed");
+      } finally {
+        entry.running = false;
+      }
+    }, streamRefreshSeconds * 1000);
+    entry.timer.unref();
+    watched.set(source, entry);
+  }
+
+  w.watchers++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--w.watchers === 0) {
+      clearInterval(w.timer);
+      watched.delete(source);
+    }
+  };
+}
+
+module.exports = { watch };
@@ -0,0 +1,52 @@
+const { statusStaleSeconds } = require("../config");
+const { listCities } = require("../providers");
+const { peekCity, fetchStatus } = require("./cityData");
+const { upstream } = require("./upstream");
+
+/**
+ * Per-source freshness for /v1/status and /readyz.
+ *
+ * status: "ok"       data younger than STATUS_STALE_SECONDS
+ *         "stale"    data older than that (or the last fetch failed but old data remains)
+ *         "error"    the last fetch failed and there is no data to serve
+ *         "unknown"  nothing fetched yet (cities are fetched on first request)
+ */
+
+const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+
+async function sourceStatus(city, { staleSeconds = statusStaleSeconds } = {}) {
+  const [cached, log] = await Promise.all([peekCity(city.slug), fetchStatus(city.slug)]);
+  const ageSeconds = cached ? cached.ageSeconds : null;
+  const failing = Boolean(log?.lastError && (!log.lastSuccessAt || log.lastError.at > log.lastSuccessAt));
+
+  let status = "unknown";
+  if (cached) status = ageSeconds > staleSeconds || failing ? "stale" : "ok";
+  else if (failing) status = "error";
+
+  return {
+    city: city.slug,
+    source: city.source,
+    displayName: city.displayName,
+    status,
+    stale: status === "stale" || status === "error",
+    dataAgeSeconds: ageSeconds,
+    fetchedAt: cached?.data.fetchedAt ?? null,
+    lastAttemptAt: iso(log?.lastAttemptAt),
+    lastSuccessAt: iso(log?.lastSuccessAt),
+    lastLatencyMs: log?.lastLatencyMs ?? null,
+    lastError: log?.lastError ? { at: iso(log.lastError.at), code: log.lastError.code ?? null, message: log.lastError.message } : null,
+    circuit: upstream.breakerStates()[city.source]?.state ?? "closed",
+  };
+}
+
+/**
+ * Status of every source. Ready while some source can still be served: stale data counts
+ * (that is what stale-while-revalidate is for), so only "error" everywhere means not ready.
+ */
+async function collectStatus(opts) {
+  const sources = await Promise.all(listCities().map((c) => sourceStatus(c, opts)));
+  const ready = sources.some((s) => s.status !== "error");
+  return { ready, staleAfterSeconds: opts?.staleSeconds ?? statusStaleSeconds, sources };
+}
+
+module.exports = { collectStatus };
@@ -0,0 +1,188 @@
+const fsp = require("fs/promises");
+const { fileURLToPath } = require("url");
+const { request } = require("undici");
+const { upstream: defaults } = require("../config");
+const { HttpError } = require("../lib/errors");
+const { metrics } = require("./metrics");
+const { dataSourceOptions } = require("./recordings");
+
+/**
+ * Shared HTTP client for everything the server calls out to (city feeds, geocoders).
+ *
+ * - every attempt is bounded by `timeoutMs` (headers and body)
+ * - 5xx responses and network errors are retried `retries` times with full-jitter
+ *   exponential backoff; timeouts and 4xx are not
+ * - each source has a circuit breaker: after `breakerThreshold` consecutive failed
+ *   calls it opens and calls fail fast for `breakerCooldownMs`, then a single trial
+ *   call decides whether it closes again
+ *
+ * Failures are UpstreamErrors: 504 for timeouts, 502 otherwise, naming the source.
+ *
+ * `recorder` saves every successful response; `replayer` answers from recordings
+ * instead of the network (see services/recordings). `file:` URLs are read from disk.
+ */
+
+class UpstreamError extends HttpError {
+  constructor(statusCode, code, source, message, extra = {}) {
+    super(statusCode, code, message, { source, ...extra });
+    this.name = "UpstreamError";
+    this.source = source;
+    this.upstreamStatus = extra.upstreamStatus;
+  }
+}
+
+function isRetryable(err) {
+  return err.code === "UPSTREAM_UNREACHABLE" || (err.code === "UPSTREAM_HTTP_ERROR" && err.upstreamStatus >= 500);
+}
+
+// A 4xx is the upstream answering (our request was bad, or the data is gone); only
+// outages count toward the breaker.
+function isOutage(err) {
+  return err.code !== "UPSTREAM_HTTP_ERROR" || err.upstreamStatus >= 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createUpstreamClient(opts = {}) {
+  const o = { ...defaults, random: Math.random, ...opts };
+
+  // source -> { state: "closed" | "open" | "half-open", failures, openedAt, trial }
+  const breakers = new Map();
+
+  function breakerFor(source) {
+    let b = breakers.get(source);
+    if (!b) breakers.set(source, (b = { state: "closed", failures: 0, openedAt: 0, trial: false }));
+    return b;
+  }
+
+  // Throws when the source's breaker is open (or its half-open trial is already running).
+  function admit(source) {
+    const b = breakerFor(source);
+    if (b.state === "closed") return;
+
+    const retryAt = b.openedAt + o.breakerCooldownMs;
+    if (b.state === "open" && Date.now() >= retryAt) {
+      b.state = "half-open";
+      b.trial = false;
+    }
+    if (b.state === "half-open" && !b.trial) {
+      b.trial = true;
+      return;
+    }
+    metrics.upstreamResponses.inc({ source, code: "circuit_open" });
+    throw new UpstreamError(502, "UPSTREAM_CIRCUIT_OPEN", source,
+      `${source} is failing; requests are paused until ${new Date(retryAt).toISOString()}`,
+      { retryAfterSeconds: Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)) });
+  }
+
+  function succeeded(source) {
+    const b = breakerFor(source);
+    b.state = "closed";
+    b.failures = 0;
+    b.trial = false;
+  }
+
+  function failed(source, log) {
+    const b = breakerFor(source);
+    b.failures++;
+    b.trial = false;
+    if (b.state === "half-open" || b.failures >= o.breakerThreshold) {
+      if (b.state !== "open") log?.warn({ source, failures: b.failures }, "upstream circuit opened");
+      b.state = "open";
+      b.openedAt = Date.now();
+    }
+  }
+
+  async function attempt(source, url, { method, headers, body, log }) {
+    const signal = AbortSignal.timeout(o.timeoutMs);
+    try {
+      // follow redirects (some hosts 302)
+      const res = await request(url, { method, headers, body, signal, maxRedirections: 5 });
+      const text = await res.body.text();
+      metrics.upstreamResponses.inc({ source, code: String(res.statusCode) });
+      if (o.recorder && res.statusCode < 400) {
+        o.recorder.record(source, { method, url, status: res.statusCode, body: text })
+          .catch((err) => log?.warn({ err, source }, "recording upstream response failed"));
+      }
+      if (res.statusCode >= 400) {
+        throw new UpstreamError(502, "UPSTREAM_HTTP_ERROR", source,
+          `${source} responded HTTP ${res.statusCode}: ${text.slice(0, 200)}`, { upstreamStatus: res.statusCode });
+      }
+      return text;
+    } catch (err) {
+      if (err instanceof UpstreamError) throw err;
+      metrics.upstreamResponses.inc({ source, code: signal.aborted ? "timeout" : "network" });
+      if (signal.aborted) {
+        throw new UpstreamError(504, "UPSTREAM_TIMEOUT", source, `${source} did not respond within ${o.timeoutMs} ms`);
+      }
+      throw new UpstreamError(502, "UPSTREAM_UNREACHABLE", source, `${source} request failed: ${err.message}`);
+    }
+  }
+
+  function replay(source, url, method) {
+    let hit;
+    try {
+      hit = o.replayer.next(source, { method, url });
+    } catch (err) {
+      throw new UpstreamError(502, "UPSTREAM_BAD_RECORDING", source, err.message);
+    }
+    if (!hit) {
+      metrics.upstreamResponses.inc({ source, code: "not_recorded" });
+      throw new UpstreamError(502, "UPSTREAM_NOT_RECORDED", source, `No recording of ${source} for ${method} ${url}`);
+    }
+    metrics.upstreamResponses.inc({ source, code: String(hit.status) });
+    return hit.body;
+  }
+
+  async function readFile(source, url) {
+    try {
+      return await fsp.readFile(fileURLToPath(url), "utf8");
+    } catch (err) {
+      throw new UpstreamError(502, "UPSTREAM_UNREACHABLE", source, `${source} file could not be read: ${err.message}`);
+    }
+  }
+
+  /** Response body of `url` as text, on behalf of `source` (the breaker key). */
+  async function fetchText(source, url, { method = "GET", headers, body, log } = {}) {
+    if (String(url).startsWith("file:")) return readFile(source, url);
+    if (o.replayer) return replay(source, url, method);
+    admit(source);
+    for (let i = 0; ; i++) {
+      try {
+        const text = await attempt(source, url, { method, headers, body, log });
+        succeeded(source);
+        return text;
+      } catch (err) {
+        if (i < o.retries && isRetryable(err)) {
+          const delay = Math.floor(o.random() * Math.min(o.retryMaxMs, o.retryBaseMs * 2 ** i));
+          log?.debug({ source, attempt: i + 1, delay, err: err.message }, "retrying upstream");
+          await sleep(delay);
+          continue;
+        }
+        if (isOutage(err)) failed(source, log);
+        else succeeded(source);
+        throw err;
+      }
+    }
+  }
+
+  async function fetchJson(source, url, opts) {
+    const text = await fetchText(source, url, opts);
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new UpstreamError(502, "UPSTREAM_BAD_RESPONSE", source, `${source} returned invalid JSON`);
+    }
+  }
+
+  /** Breaker state per source, for status reporting. */
+  function breakerStates() {
+    return Object.fromEntries([...breakers].map(([source, b]) => [source, { state: b.state, failures: b.failures }]));
+  }
+
+  return { fetchText, fetchJson, breakerStates };
+}
+
+const upstream = createUpstreamClient(dataSourceOptions());
+
+module.exports = { upstream, createUpstreamClient, UpstreamError };
@@ -0,0 +1,105 @@
+const { cacheBackend } = require("../config");
+const { sharedRedis } = require("./cache");
+
+/**
+ * Request counters behind API key limits. A counter is a name plus a bucket (the start
+ * of its fixed window); moving to a new bucket starts again from zero. Per-key stats
+ * (total, rejections, last use) sit alongside.
+ *
+ * CACHE_BACKEND=memory keeps them in this process, so each instance enforces limits on
+ * its own. CACHE_BACKEND=redis shares them between instances (INCR per bucket key,
+ * expiring with the window).
+ */
+
+const emptyStats = () => ({ total: 0, rejected: { rate: 0, quota: 0 }, lastUsedAt: null });
+
+function createMemoryCounters() {
+  const counts = new Map(); // counter -> { bucket, n }
+  const stats = new Map();  // id -> stats
+
+  const statsOf = (id) => {
+    let s = stats.get(id);
+    if (!s) stats.set(id, (s = emptyStats()));
+    return s;
+  };
+
+  return {
+    async incr(counter, bucket) {
+      const c = counts.get(counter);
+      if (!c || c.bucket !== bucket) counts.set(counter, { bucket, n: 1 });
+      else c.n++;
+      return counts.get(counter).n;
+    },
+    async decr(counter, bucket) {
+      const c = counts.get(counter);
+      if (c && c.bucket === bucket && c.n > 0) c.n--;
+    },
+    async count(counter, bucket) {
+      const c = counts.get(counter);
+      return c && c.bucket === bucket ? c.n : 0;
+    },
+    async mark(id, event, t) {
+      const s = statsOf(id);
+      if (event === "used") { s.total++; s.lastUsedAt = t; }
+      else s.rejected[event]++;
+    },
+    async stats(id) {
+      const s = statsOf(id);
+      return { ...s, rejected: { ...s.rejected } };
+    },
+    async clear(id) {
+      stats.delete(id);
+      for (const counter of counts.keys()) if (counter.startsWith(`${id}:`)) counts.delete(counter);
+    },
+  };
+}
+
+// `client` speaks the ioredis subset used here (multi with set/incr, decr, get, hincrby, hset, hgetall, del).
+function createRedisCounters({ client, prefix = "activedispatch:usage:" }) {
+  const key = (counter, bucket) => `${prefix}${counter}:${bucket}`;
+  const statsKey = (id) => `${prefix}${id}:stats`;
+
+  return {
+    // The key is created with its expiry in the same transaction as the INCR (which keeps
+    // the TTL), so no crash or failed call can leave a counter that never resets.
+    async incr(counter, bucket, ttlMs) {
+      const k = key(counter, bucket);
+      const results = await client.multi().set(k, 0, "PX", ttlMs, "NX").incr(k).exec();
+      const failed = results.find(([err]) => err);
+      if (failed) throw failed[0];
+      return results[1][1];
+    },
+    async decr(counter, bucket) {
+      await client.decr(key(counter, bucket));
+    },
+    async count(counter, bucket) {
+      return Number(await client.get(key(counter, bucket))) || 0;
+    },
+    async mark(id, event, t) {
+      if (event === "used") {
+        await client.hincrby(statsKey(id), "total", 1);
+        await client.hset(statsKey(id), "lastUsedAt", String(t));
+      } else {
+        await client.hincrby(statsKey(id), event, 1);
+      }
+    },
+    async stats(id) {
+      const h = (await client.hgetall(statsKey(id))) || {};
+      return {
+        total: Number(h.total) || 0,
+        rejected: { rate: Number(h.rate) || 0, quota: Number(h.quota) || 0 },
+        lastUsedAt: h.lastUsedAt ? Number(h.lastUsedAt) : null,
+      };
+    },
+    async clear(id) {
+      await client.del(statsKey(id));
+    },
+  };
+}
+
+function createUsageCounters({ backend = cacheBackend, client } = {}) {
+  if (backend === "redis") return createRedisCounters({ client: client || sharedRedis() });
+  return createMemoryCounters();
+}
+
+module.exports = { createUsageCounters, createMemoryCounters, createRedisCounters };
@@ -0,0 +1,325 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const net = require("net");
+const dns = require("dns");
+const { request, Agent } = require("undici");
+const { webhooks: defaults } = require("../config");
+const { HttpError, badRequest } = require("../lib/errors");
+const { parseArea, areaContains, areaBounds, boundsOverlap } = require("../lib/geofence");
+const { isPrivateAddress, assertPublicHost, publicLookup } = require("../lib/publicHost");
+const { listCoverage } = require("../providers");
+const { changes } = require("./changes");
+const { watch } = require("./refresher");
+const { metrics } = require("./metrics");
+
+/**
+ * Geofenced webhook subscriptions. A subscription is an area (circle or polygon),
+ * optional incident types and a callback URL; every city the area overlaps is kept
+ * refreshed in the background, and each new place (a "created" change-feed event)
+ * inside the area is POSTed to the URL:
+ *
+ *   { id, event: "place.created", subscriptionId, city, source, at, place }
+ *
+ * Requests are signed with the subscription's secret:
+ *   X-ActiveDispatch-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Non-2xx responses and network errors are retried with exponential backoff; after
+ * `maxAttempts` the delivery is recorded as a dead letter. A source's first snapshot
+ * in this process is the baseline and triggers nothing.
+ *
+ * Callback hosts are resolved on every attempt and refused (dead-lettered at once) when
+ * they point at loopback, link-local or private addresses, unless `allowPrivateHosts`.
+ */
+
+const DEAD_LETTERS_KEPT = 50;
+
+// Connections re-check the address they actually dial, so DNS answers that change after
+// the pre-flight check (rebinding) can't reach a private host either.
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+const publicRequest = (url, opts) => request(url, { ...opts, dispatcher: publicAgent });
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function parseUrl(value, { allowHttp, allowPrivateHosts }) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw badRequest('"url" must be an absolute URL');
+  }
+  const ok = url.protocol === "https:" || (allowHttp && url.protocol === "http:");
+  if (!ok) throw badRequest(`"url" must use https${allowHttp ? " or http" : ""}`);
+  // Names are checked again on every delivery; this only catches the obvious cases early.
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  const local = /(?:^|\.)localhost\.?$/i.test(host) || (net.isIP(host) && isPrivateAddress(host));
+  if (local && !allowPrivateHosts) throw badRequest('"url" must point to a public host');
+  return url.toString();
+}
+
+function parseTypes(value) {
+  if (value == null) return undefined;
+  if (!Array.isArray(value) || value.some((t) => typeof t !== "string" || !t.trim())) {
+    throw badRequest('"types" must be an array of incident types or categories');
+  }
+  return value.length ? value.map((t) => t.trim()) : undefined;
+}
+
+function createWebhooks({
+  file = defaults.file,
+  deadLetterFile = defaults.deadLetterFile,
+  timeoutMs = defaults.timeoutMs,
+  maxAttempts = defaults.maxAttempts,
+  retryBaseMs = defaults.retryBaseMs,
+  retryMaxMs = defaults.retryMaxMs,
+  allowHttp = defaults.allowHttp,
+  allowPrivateHosts = defaults.allowPrivateHosts,
+  maxPerOwner = defaults.maxPerOwner,
+  feed = changes,
+  watchCity = watch,
+  coverage = listCoverage,
+  lookup = dns.promises.lookup,
+  send = allowPrivateHosts ? request : publicRequest,
+  now = Date.now,
+} = {}) {
+  const subs = new Map();        // id -> subscription (with secret)
+  const stats = new Map();       // id -> { delivered, failed, lastDeliveryAt, lastError }
+  const deadLetters = new Map(); // id -> recent dead letters, newest last
+  const releases = new Map();    // id -> [release watch]
+  const timers = new Set();      // pending retries
+  let unsubscribe = null;
+  let log = null;
+
+  // Writes `list` (what subs will hold); callers update subs only once this succeeds.
+  function save(list) {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ subscriptions: list }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function load() {
+    if (file && fs.existsSync(file)) {
+      for (const s of JSON.parse(fs.readFileSync(file, "utf8")).subscriptions || []) subs.set(s.id, s);
+    }
+    if (deadLetterFile && fs.existsSync(deadLetterFile)) {
+      for (const line of fs.readFileSync(deadLetterFile, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          keepDeadLetter(JSON.parse(line));
+        } catch {
+          // a torn last line from a crash; skip it
+        }
+      }
+    }
+  }
+
+  function statsFor(id) {
+    let s = stats.get(id);
+    if (!s) stats.set(id, (s = { delivered: 0, failed: 0, lastDeliveryAt: null, lastError: null }));
+    return s;
+  }
+
+  function keepDeadLetter(entry) {
+    const list = deadLetters.get(entry.subscriptionId) || [];
+    list.push(entry);
+    if (list.length > DEAD_LETTERS_KEPT) list.splice(0, list.length - DEAD_LETTERS_KEPT);
+    deadLetters.set(entry.subscriptionId, list);
+  }
+
+  function describe(sub) {
+    const { secret, ...rest } = sub;
+    return { ...rest, deliveries: { ...statsFor(sub.id) } };
+  }
+
+  function startWatching(sub) {
+    releases.set(sub.id, sub.cities.map((city) => watchCity(city, { log })));
+  }
+
+  function stopWatching(id) {
+    for (const release of releases.get(id) || []) release();
+    releases.delete(id);
+  }
+
+  function matches(sub, city, place) {
+    if (!sub.cities.includes(city) || !areaContains(sub.area, place)) return false;
+    if (!sub.types) return true;
+    const values = [place.name, place.category, place.subcategory].filter(Boolean).map((v) => String(v).toLowerCase());
+    return sub.types.some((t) => values.includes(t.toLowerCase()));
+  }
+
+  function deadLetter(sub, delivery, attempts, error) {
+    const entry = {
+      id: delivery.id,
+      subscriptionId: sub.id,
+      url: sub.url,
+      attempts,
+      error,
+      failedAt: new Date(now()).toISOString(),
+      payload: delivery,
+    };
+    keepDeadLetter(entry);
+    metrics.webhookDeliveries.inc({ outcome: "dead_letter" });
+    log?.warn({ subscription: sub.id, delivery: delivery.id, attempts, error }, "webhook delivery failed; dead-lettered");
+    if (!deadLetterFile) return;
+    fsp.mkdir(path.dirname(deadLetterFile), { recursive: true })
+      .then(() => fsp.appendFile(deadLetterFile, JSON.stringify(entry) + "\n"))
+      .catch((err) => log?.error({ err }, "dead-letter write failed"));
+  }
+
+  async function attempt(sub, delivery, body, n) {
+    if (subs.get(sub.id) !== sub) return; // unsubscribed meanwhile
+    const t = Math.floor(now() / 1000);
+    let error;
+    let final = false;
+    try {
+      if (!allowPrivateHosts) await assertPublicHost(new URL(sub.url).hostname, { lookup });
+      const res = await send(sub.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "activedispatch-webhooks",
+          "x-activedispatch-event": delivery.event,
+          "x-activedispatch-delivery": delivery.id,
+          "x-activedispatch-signature": `t=${t},v1=${sign(sub.secret, t, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await res.body.dump().catch(() => {});
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        const s = statsFor(sub.id);
+        s.delivered++;
+        s.lastDeliveryAt = new Date(now()).toISOString();
+        metrics.webhookDeliveries.inc({ outcome: "delivered" });
+        return;
+      }
+      error = { status: res.statusCode, message: `HTTP ${res.statusCode}` };
+    } catch (err) {
+      final = err.code === "EPRIVATEADDRESS"; // retrying won't change where it points
+      error = { message: err.name === "TimeoutError" ? `timed out after ${timeoutMs} ms` : err.message };
+    }
+
+    const s = statsFor(sub.id);
+    s.lastError = { at: new Date(now()).toISOString(), ...error };
+    if (final || n >= maxAttempts) {
+      s.failed++;
+      deadLetter(sub, delivery, n, error);
+      return;
+    }
+    metrics.webhookDeliveries.inc({ outcome: "retried" });
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(sub, delivery, body, n + 1);
+    }, Math.min(retryMaxMs, retryBaseMs * 2 ** (n - 1)));
+    timer.unref();
+    timers.add(timer);
+  }
+
+  function dispatch(sub, city, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      event: "place.created",
+      subscriptionId: sub.id,
+      city,
+      source: event.source,
+      at: event.at,
+      place: event.place,
+    };
+    attempt(sub, delivery, JSON.stringify(delivery), 1);
+  }
+
+  function onSnapshot({ source, first, events }) {
+    if (first || !subs.size) return;
+    const city = coverage().find((c) => c.provider === source)?.city;
+    if (!city) return;
+    for (const e of events) {
+      if (e.type !== "created") continue;
+      for (const sub of subs.values()) if (matches(sub, city, e.place)) dispatch(sub, city, e);
+    }
+  }
+
+  function visible(id, owner) {
+    const sub = subs.get(id);
+    return sub && (owner == null || sub.owner === owner) ? sub : null;
+  }
+
+  return {
+    /** Load saved subscriptions, follow the change feed and start refreshing covered cities. */
+    start({ log: logger } = {}) {
+      if (unsubscribe) return;
+      log = logger || null;
+      load();
+      unsubscribe = feed.onSnapshot(onSnapshot);
+      for (const sub of subs.values()) startWatching(sub);
+    },
+
+    stop() {
+      unsubscribe?.();
+      unsubscribe = null;
+      for (const id of [...releases.keys()]) stopWatching(id);
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+    },
+
+    /** Validate and add a subscription; the signing secret is only returned here. */
+    create(body = {}, { owner = null } = {}) {
+      if (!body || typeof body !== "object") throw badRequest("Expected a JSON object");
+      const area = parseArea(body.area);
+      const bounds = areaBounds(area);
+      const cities = coverage().filter((c) => boundsOverlap(bounds, c.bounds)).map((c) => c.city);
+      if (!cities.length) throw new HttpError(400, "OUTSIDE_COVERAGE", "The area doesn't overlap any supported city");
+      const url = parseUrl(body.url, { allowHttp, allowPrivateHosts });
+      const owned = [...subs.values()].filter((s) => s.owner === owner).length;
+      if (owned >= maxPerOwner) {
+        throw new HttpError(403, "SUBSCRIPTION_LIMIT", `At most ${maxPerOwner} webhook subscriptions per API key`);
+      }
+
+      const sub = {
+        id: crypto.randomUUID(),
+        owner,
+        url,
+        area,
+        types: parseTypes(body.types),
+        cities,
+        secret: crypto.randomBytes(32).toString("hex"),
+        createdAt: new Date(now()).toISOString(),
+      };
+      save([...subs.values(), sub]);
+      subs.set(sub.id, sub);
+      if (unsubscribe) startWatching(sub);
+      return { ...describe(sub), secret: sub.secret };
+    },
+
+    /** Subscriptions visible to `owner` (all of them when owner is null). */
+    list(owner = null) {
+      return [...subs.values()].filter((s) => owner == null || s.owner === owner).map(describe);
+    },
+
+    get(id, owner = null) {
+      const sub = visible(id, owner);
+      return sub ? describe(sub) : null;
+    },
+
+    remove(id, owner = null) {
+      if (!visible(id, owner)) return false;
+      save([...subs.values()].filter((s) => s.id !== id));
+      subs.delete(id);
+      stats.delete(id);
+      deadLetters.delete(id);
+      stopWatching(id);
+      return true;
+    },
+
+    deadLetters(id, owner = null) {
+      return visible(id, owner) ? [...(deadLetters.get(id) || [])] : null;
+    },
+  };
+}
+
+const webhooks = createWebhooks();
+
+module.exports = { webhooks, createWebhooks, sign };
@@ -18,6 +18,7 @@ const fs = require('fs');
 const path = require('path');
 const { MockAgent, setGlobalDispatcher } = require('undici');
 const { PlaceCoreSchema } = require('./schema/placeCore');
+const { CATEGORIES } = require('../src/lib/taxonomy');
 
 // Adapters can be required once; they read the dispatcher at request time
 const nashville = require('../src/adapters/nashville');
@@ -110,6 +111,33 @@ describe('All adapters produce the same core structure (extras is free-form)', (
         console.error(cityKey, JSON.stringify(res.error.format(), null, 2), place);
       }
       expect(res.success).toBe(true);
+      expect(CATEGORIES).toContain(place.category);
+      expect(typeof place.subcategory).toBe('string');
     }
   });
 });
+
+describe('Place ids are stable, unique and namespaced by source', () => {
+  it.each([
+    ['nashville', nashville],
+    ['pdx',       pdx],
+    ['sf',        sf],
+  ])('%s ids', async (cityKey, adapter) => {
+    const first = (await fetchPlaces(adapter, cityKey)).map(p => p.id);
+
+    // fetch the same feed again (a fresh mock agent per fetch)
+    await agent.close();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+    const read = (p) => fs.readFileSync(path.join(__dirname, 'fixtures', p), 'utf8');
+    interceptGet(agent, process.env.NASHVILLE_URL, read('nashville.json'));
+    interceptGet(agent, process.env.PORTLAND_URL, read('pdx.kml'), 'application/vnd.google-earth.kml+xml');
+    interceptRegex(agent, 'https://example.test', /^\/sf(?:\?.*)?$/i, read('sf.json'));
+    const second = (await fetchPlaces(adapter, cityKey)).map(p => p.id);
+
+    expect(second).toEqual(first);
+    expect(new Set(first).size).toBe(first.length);
+    for (const id of first) expect(id.startsWith(`${adapter.name}:`)).toBe(true);
+  });
+});
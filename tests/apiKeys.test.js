@@ -0,0 +1,195 @@
+// tests/apiKeys.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildApp } = require('../src/app');
+const { createApiKeys } = require('../src/services/apiKeys');
+const { createRedisCounters } = require('../src/services/usageCounters');
+
+const T0 = Date.UTC(2025, 7, 17, 12, 0, 30);
+
+// Local stand-in for the ioredis commands the Redis counters use
+function fakeRedis() {
+  const data = new Map();
+  const ttls = new Map();
+  const hash = (k) => data.get(k) || data.set(k, {}).get(k);
+  const client = {
+    data,
+    ttls,
+    async set(k, v, px, ms, nx) {
+      if (nx === 'NX' && data.has(k)) return null;
+      data.set(k, v);
+      ttls.set(k, ms);
+      return 'OK';
+    },
+    async incr(k) { data.set(k, (Number(data.get(k)) || 0) + 1); return data.get(k); },
+    async decr(k) { data.set(k, (Number(data.get(k)) || 0) - 1); return data.get(k); },
+    // MULTI/EXEC: queued calls run back to back, results as [err, value] pairs
+    multi() {
+      const queued = [];
+      const tx = {
+        set: (...args) => { queued.push(['set', args]); return tx; },
+        incr: (...args) => { queued.push(['incr', args]); return tx; },
+        exec: async () => {
+          const results = [];
+          for (const [cmd, args] of queued) results.push([null, await client[cmd](...args)]);
+          return results;
+        },
+      };
+      return tx;
+    },
+    async get(k) { return data.has(k) ? String(data.get(k)) : null; },
+    async hincrby(k, f, n) { const h = hash(k); h[f] = String((Number(h[f]) || 0) + n); return Number(h[f]); },
+    async hset(k, f, v) { hash(k)[f] = v; return 1; },
+    async hgetall(k) { return { ...(data.get(k) || {}) }; },
+    async del(k) { return data.delete(k) ? 1 : 0; },
+  };
+  return client;
+}
+
+describe('api key store', () => {
+  it('enforces the per-key rate window and daily quota', async () => {
+    let now = T0;
+    const keys = createApiKeys({
+      file: undefined,
+      keys: [{ id: 'ios', key: 'secret-ios', rateLimit: { max: 2, windowSeconds: 60 }, dailyQuota: 3 }],
+      now: () => now,
+    });
+    const key = keys.authenticate('secret-ios');
+    expect(key.id).toBe('ios');
+    expect(keys.authenticate('nope')).toBeNull();
+
+    expect(await keys.consume(key)).toMatchObject({ ok: true, limit: 2, remaining: 1, resetSeconds: 30 });
+    expect(await keys.consume(key)).toMatchObject({ ok: true, remaining: 0 });
+    expect(await keys.consume(key)).toMatchObject({ ok: false, reason: 'rate', resetSeconds: 30 });
+
+    now += 60 * 1000; // next window; one request left today
+    expect(await keys.consume(key)).toMatchObject({ ok: true, limit: 3, remaining: 0 });
+    expect(await keys.consume(key)).toMatchObject({ ok: false, reason: 'quota', resetSeconds: 12 * 3600 - 90 });
+
+    now = Date.UTC(2025, 7, 18, 0, 0, 1); // quota resets at midnight UTC
+    expect((await keys.consume(key)).ok).toBe(true);
+
+    expect((await keys.get('ios')).usage).toMatchObject({ today: 1, quotaRemaining: 2, total: 4, rejected: { rate: 1, quota: 1 } });
+  });
+
+  it('persists admin changes to the keys file without exposing secrets', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'keys-')), 'keys.json');
+    const keys = createApiKeys({ file, keys: [] });
+    const created = await keys.create({ id: 'partner', name: 'Partner', dailyQuota: 50 });
+    expect(created.key).toEqual(expect.any(String));
+    expect((await keys.list())[0]).not.toHaveProperty('key');
+
+    const reloaded = createApiKeys({ file });
+    expect(reloaded.authenticate(created.key).id).toBe('partner');
+
+    await keys.update('partner', { disabled: true });
+    expect(createApiKeys({ file }).authenticate(created.key)).toBeNull();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it('shares counters between instances through Redis', async () => {
+    const client = fakeRedis();
+    const instance = () => createApiKeys({
+      file: undefined,
+      keys: [{ id: 'ios', key: 'secret-ios', rateLimit: { max: 2, windowSeconds: 60 } }],
+      counters: createRedisCounters({ client }),
+      now: () => T0,
+    });
+    const [a, b] = [instance(), instance()];
+    expect(await a.consume(a.authenticate('secret-ios'))).toMatchObject({ ok: true, remaining: 1 });
+    expect(await b.consume(b.authenticate('secret-ios'))).toMatchObject({ ok: true, remaining: 0 });
+    expect(await a.consume(a.authenticate('secret-ios'))).toMatchObject({ ok: false, reason: 'rate' });
+    expect((await b.get('ios')).usage).toMatchObject({ today: 2, total: 2, rejected: { rate: 1, quota: 0 } });
+    const rateKey = `activedispatch:usage:ios:rate:${Math.floor(T0 / 60000) * 60000}`;
+    expect(client.data.get(rateKey)).toBe(2); // the rejected request was rolled back
+    // every counter key got its expiry when it was created
+    for (const k of client.data.keys()) if (!k.endsWith(':stats')) expect(client.ttls.get(k)).toBeGreaterThan(0);
+  });
+});
+
+describe('api key routes', () => {
+  let app;
+  let keys;
+  beforeAll(async () => {
+    keys = createApiKeys({
+      file: undefined,
+      required: true,
+      adminToken: 'admin-secret',
+      keys: [{ id: 'android', key: 'secret-android', rateLimit: { max: 2, windowSeconds: 60 } }],
+    });
+    app = buildApp({ apiKeys: keys });
+    await app.ready();
+  });
+  afterAll(() => app.close());
+
+  const get = (url, headers = {}) => app.inject({ method: 'GET', url, headers });
+
+  it('rejects missing and unknown keys but leaves health checks open', async () => {
+    const missing = await get('/v1/cities');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.json().code).toBe('UNAUTHORIZED');
+
+    const unknown = await get('/v1/cities', { 'x-api-key': 'wrong' });
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.json().code).toBe('INVALID_API_KEY');
+
+    expect((await get('/healthz')).statusCode).toBe(200);
+    expect((await get('/v1/status')).statusCode).toBe(200);
+  });
+
+  it('sets RateLimit headers and answers 429 with Retry-After past the limit', async () => {
+    const first = await get('/v1/cities', { 'x-api-key': 'secret-android' });
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60, 10000;w=86400');
+
+    // the stream accepts the key in the query string (EventSource can't send headers)
+    expect((await get('/v1/city/atlantis/stream?apiKey=secret-android')).statusCode).toBe(404);
+    const limited = await get('/v1/cities', { 'x-api-key': 'secret-android' });
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(limited.json().code).toBe('RATE_LIMITED');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('ignores ?apiKey= outside the stream and keeps it out of logs and errors', async () => {
+    const lines = [];
+    const stream = { write: (line) => lines.push(line) };
+    const logged = buildApp({ apiKeys: keys, logger: { level: 'info', stream } });
+    await logged.ready();
+
+    const res = await logged.inject({ method: 'GET', url: '/v1/cities?apiKey=secret-android&x=1' });
+    expect(res.statusCode).toBe(401);
+    expect(res.json().instance).toBe('/v1/cities?apiKey=[redacted]&x=1');
+    expect(lines.join('')).toContain('apiKey=[redacted]');
+    expect(lines.join('')).not.toContain('secret-android');
+    await logged.close();
+  });
+
+  it('manages keys through the admin endpoints', async () => {
+    const auth = { authorization: 'Bearer admin-secret' };
+    expect((await get('/v1/admin/keys')).statusCode).toBe(401);
+
+    const created = await app.inject({ method: 'POST', url: '/v1/admin/keys', headers: auth, payload: { id: 'web', name: 'Web' } });
+    expect(created.statusCode).toBe(201);
+    const { key } = created.json();
+
+    const usage = await get('/v1/usage', { 'x-api-key': key });
+    expect(usage.statusCode).toBe(200);
+    expect(usage.json()).toMatchObject({ id: 'web', usage: { today: 1, total: 1 } });
+
+    const listed = await get('/v1/admin/keys', auth);
+    expect(listed.json().keys.map((k) => k.id)).toEqual(['android', 'web']);
+    expect(JSON.stringify(listed.json())).not.toContain(key);
+
+    const bad = await app.inject({ method: 'PATCH', url: '/v1/admin/keys/web', headers: auth, payload: { dailyQuota: -1 } });
+    expect(bad.statusCode).toBe(400);
+
+    const removed = await app.inject({ method: 'DELETE', url: '/v1/admin/keys/web', headers: auth });
+    expect(removed.statusCode).toBe(204);
+    expect((await get('/v1/cities', { 'x-api-key': key })).statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,81 @@
+// tests/cache.test.js
+const { createCache } = require('../src/services/cache');
+const { createGeocoder } = require('../src/services/geocode');
+const { metrics } = require('../src/services/metrics');
+
+// Local stand-in for the subset of the ioredis API the Redis store uses
+function fakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(k) {
+      const e = data.get(k);
+      if (!e || (e.expiresAt && e.expiresAt <= Date.now())) return null;
+      return e.value;
+    },
+    async set(k, v, mode, ttl) { data.set(k, { value: v, expiresAt: mode === 'PX' ? Date.now() + ttl : 0 }); return 'OK'; },
+    async del(k) { return data.delete(k) ? 1 : 0; },
+  };
+}
+
+describe('memory (LRU) cache', () => {
+  it('evicts the least recently used entry past maxEntries', async () => {
+    const c = createCache({ name: 't', backend: 'memory', maxEntries: 2 });
+    await c.set('a', 1);
+    await c.set('b', 2);
+    await c.get('a');
+    await c.set('c', 3);
+    expect(await c.get('b')).toBeUndefined();
+    expect(await c.get('a')).toBe(1);
+    expect(await c.get('c')).toBe(3);
+  });
+
+  it('expires entries after their TTL', async () => {
+    const c = createCache({ name: 't', backend: 'memory' });
+    await c.set('k', { v: 1 }, 1);
+    await new Promise(r => setTimeout(r, 5));
+    expect(await c.get('k')).toBeUndefined();
+  });
+});
+
+describe('redis cache', () => {
+  it('round-trips JSON under a per-cache prefix', async () => {
+    const client = fakeRedis();
+    const c = createCache({ name: 'geocode', backend: 'redis', client });
+    await c.set('1 main st', { lat: 1, lon: 2 }, 60000);
+    expect([...client.data.keys()]).toEqual(['activedispatch:geocode:1 main st']);
+    expect(await c.get('1 main st')).toEqual({ lat: 1, lon: 2 });
+    await c.delete('1 main st');
+    expect(await c.get('1 main st')).toBeUndefined();
+  });
+
+  it('degrades to misses when Redis is unavailable', async () => {
+    const onError = jest.fn();
+    const down = { get: async () => { throw new Error('ECONNREFUSED'); }, set: async () => { throw new Error('ECONNREFUSED'); } };
+    const c = createCache({ name: 'x', backend: 'redis', client: down, onError });
+    await c.set('k', 1, 1000);
+    expect(await c.get('k')).toBeUndefined();
+    expect(onError).toHaveBeenCalledTimes(2);
+  });
+
+  it('counts and logs failures by default', async () => {
+    const log = { debug: jest.fn() };
+    const down = { get: async () => { throw new Error('ECONNREFUSED'); } };
+    const c = createCache({ name: 'failing', backend: 'redis', client: down, log });
+    expect(await c.get('k')).toBeUndefined();
+    expect(log.debug).toHaveBeenCalledWith(expect.objectContaining({ cache: 'failing', op: 'get' }), expect.any(String));
+    const { values } = await metrics.cacheErrors.get();
+    expect(values).toContainEqual(expect.objectContaining({ labels: { cache: 'failing', op: 'get' }, value: 1 }));
+  });
+
+  it('lets a second geocoder (another instance / restart) reuse stored geocodes', async () => {
+    const client = fakeRedis();
+    const provider = { name: 'p', geocode: jest.fn(async () => ({ lat: 36.1, lon: -86.7 })) };
+    const first = createGeocoder({ providers: [provider], cache: createCache({ name: 'geocode', backend: 'redis', client }) });
+    const second = createGeocoder({ providers: [provider], cache: createCache({ name: 'geocode', backend: 'redis', client }) });
+
+    await first.geocode('Broadway / 5th Ave N, Nashville, TN');
+    await expect(second.geocode('Broadway / 5th Ave N, Nashville, TN')).resolves.toMatchObject({ lat: 36.1 });
+    expect(provider.geocode).toHaveBeenCalledTimes(1);
+  });
+});
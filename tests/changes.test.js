@@ -0,0 +1,37 @@
+// tests/changes.test.js
+const { createChangeFeed } = require('../src/services/changes');
+
+const place = (id, extras = {}) => ({ id, name: 'Traffic Stop', lat: 37.76, lon: -122.43, address: 'X', extras });
+const snap = (fetchedAt, places) => ({ fetchedAt, places });
+
+describe('change feed', () => {
+  it('emits created, updated and cleared events between snapshots', () => {
+    const feed = createChangeFeed({ maxEvents: 100 });
+
+    const first = feed.ingest('sf', snap('t1', [place('a', { priority: 'B' }), place('b')]));
+    expect(first.map(e => [e.type, e.id])).toEqual([['created', 'a'], ['created', 'b']]);
+    const { cursor } = feed.since('sf');
+
+    const second = feed.ingest('sf', snap('t2', [place('a', { priority: 'A', disposition: 'HAN' }), place('c')]));
+    expect(second.map(e => [e.type, e.id])).toEqual([['updated', 'a'], ['created', 'c'], ['cleared', 'b']]);
+    expect(second[0].changed).toEqual(['extras.priority', 'extras.disposition']);
+
+    const delta = feed.since('sf', cursor);
+    expect(delta.reset).toBe(false);
+    expect(delta.events.map(e => e.id)).toEqual(['a', 'c', 'b']);
+    expect(feed.since('sf', delta.cursor).events).toEqual([]);
+    expect(feed.since('pdx', delta.cursor)).toMatchObject({ reset: false, events: [] });
+  });
+
+  it('flags a reset when the cursor fell off the retained log', () => {
+    const feed = createChangeFeed({ maxEvents: 2 });
+    feed.ingest('sf', snap('t1', [place('a')]));
+    const { cursor } = feed.since('sf');
+    feed.ingest('sf', snap('t2', [place('b'), place('c'), place('d')]));
+
+    const delta = feed.since('sf', cursor);
+    expect(delta.reset).toBe(true);
+    expect(delta.events).toHaveLength(2);
+    expect(feed.since('sf', '999').reset).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+const { buildApp } = require('../src/app');
+
+describe('city registry', () => {
+  let app;
+  beforeAll(async () => {
+    app = buildApp();
+    await app.ready();
+  });
+  afterAll(() => app.close());
+
+  test('GET /v1/cities lists every city with viewport and attribution', async () => {
+    const res = await app.inject({ method: 'GET', url: '/v1/cities' });
+    expect(res.statusCode).toBe(200);
+    const { cities } = res.json();
+    expect(cities.map((c) => c.slug)).toEqual(expect.arrayContaining(['nashville', 'pdx', 'sf']));
+    for (const c of cities) {
+      expect(typeof c.displayName).toBe('string');
+      expect(typeof c.timezone).toBe('string');
+      expect(typeof c.agency).toBe('string');
+      expect(typeof c.attribution.text).toBe('string');
+      expect(Array.isArray(c.aliases)).toBe(true);
+      expect(c.center).toEqual({ lat: expect.any(Number), lon: expect.any(Number) });
+      expect(c.bounds.minLat).toBeLessThan(c.bounds.maxLat);
+    }
+    expect(cities.find((c) => c.slug === 'pdx').aliases).toContain('portland');
+  });
+
+  test('unknown cities are a 404 listing the valid slugs', async () => {
+    for (const url of ['/v1/city/atlantis', '/v1/city/atlantis/history', '/v1/city/atlantis/changes']) {
+      const res = await app.inject({ method: 'GET', url });
+      expect(res.statusCode).toBe(404);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      const body = res.json();
+      expect(body).toMatchObject({ status: 404, title: 'Not Found', code: 'UNKNOWN_CITY' });
+      expect(body.detail).toMatch(/atlantis/);
+      expect(body.cities).toEqual(expect.arrayContaining(['nashville', 'pdx', 'sf']));
+    }
+  });
+
+  test('aliases resolve to the canonical city', async () => {
+    const res = await app.inject({ method: 'GET', url: '/v1/city/Portland/history' });
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({ city: 'pdx', source: 'pdx' });
+  });
+});
@@ -0,0 +1,94 @@
+// tests/cityData.test.js
+jest.mock('../src/providers', () => {
+  const provider = { name: 'fake', fetchCity: jest.fn() };
+  return {
+    provider,
+    resolveCity: (city) => ({ slug: city === 'alias' ? 'fake' : city, name: 'fake' }),
+    resolveProvider: () => provider,
+  };
+});
+
+const { provider } = require('../src/providers');
+const { getCity, refreshCity } = require('../src/services/cityData');
+const { cityTTL } = require('../src/config');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+function payload(n) {
+  return { city: 'fake', source: 'fake', fetchedAt: new Date(Date.now()).toISOString(), places: [{ id: String(n), name: 'X', lat: 1, lon: 2 }] };
+}
+
+describe('city cache', () => {
+  let now;
+  beforeEach(() => {
+    now = Date.parse('2025-08-18T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    provider.fetchCity.mockReset();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('concurrent requests for a cold city share one upstream fetch', async () => {
+    const d = deferred();
+    provider.fetchCity.mockReturnValue(d.promise);
+
+    const a = getCity('fake');
+    const b = getCity('alias');
+    const c = refreshCity('fake');
+    await flush();
+    d.resolve(payload(1));
+
+    const [ra, rb, rc] = await Promise.all([a, b, c]);
+    expect(provider.fetchCity).toHaveBeenCalledTimes(1);
+    expect(ra.cacheStatus).toBe('miss');
+    expect(rb.data).toBe(ra.data);
+    expect(rc).toBe(ra.data);
+
+    expect((await getCity('fake')).cacheStatus).toBe('hit');
+  });
+
+  test('expired payloads are served stale while one background refresh runs', async () => {
+    provider.fetchCity.mockResolvedValue(payload(1));
+    await refreshCity('fake');
+
+    now += (cityTTL + 60) * 1000;
+    const d = deferred();
+    provider.fetchCity.mockReset().mockReturnValue(d.promise);
+
+    const first = await getCity('fake');
+    const second = await getCity('fake');
+    expect(first).toMatchObject({ cacheStatus: 'stale', ageSeconds: cityTTL + 60 });
+    expect(first.data.places[0].id).toBe('1');
+    expect(second.cacheStatus).toBe('stale');
+    expect(provider.fetchCity).toHaveBeenCalledTimes(1);
+
+    d.resolve(payload(2));
+    await flush();
+    const fresh = await getCity('fake');
+    expect(fresh).toMatchObject({ cacheStatus: 'hit', ageSeconds: 0 });
+    expect(fresh.data.places[0].id).toBe('2');
+  });
+
+  test('the last good payload survives a failing upstream', async () => {
+    provider.fetchCity.mockResolvedValue(payload(1));
+    await refreshCity('fake');
+
+    now += (cityTTL + 5) * 1000;
+    provider.fetchCity.mockReset().mockRejectedValue(new Error('upstream down'));
+    const log = { info() {}, warn: jest.fn() };
+
+    const r = await getCity('fake', { log });
+    await flush();
+    expect(r).toMatchObject({ cacheStatus: 'stale', ageSeconds: cityTTL + 5 });
+    expect(log.warn).toHaveBeenCalled();
+
+    // still served (and retried) on the next request
+    expect((await getCity('fake', { log })).data.places[0].id).toBe('1');
+    expect(provider.fetchCity).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,65 @@
+// tests/cli.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../src/cli');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+async function cli(...argv) {
+  let out = '';
+  let err = '';
+  const code = await run(argv, {
+    stdout: { write: (s) => { out += s; } },
+    stderr: { write: (s) => { err += s; } },
+  });
+  return { code, out, err };
+}
+
+describe('activedispatch fetch', () => {
+  it('runs an adapter on a saved feed and prints places with diagnostics', async () => {
+    const { code, out, err } = await cli('fetch', 'portland', '--input', fixture('pdx.kml'), '--no-geocode');
+    expect(code).toBe(0);
+    const payload = JSON.parse(out);
+    expect(payload).toMatchObject({ city: 'pdx', source: 'pdx' });
+    expect(payload.places.length).toBeGreaterThan(0);
+    expect(payload).not.toHaveProperty('quality');
+    expect(err).toMatch(/rows parsed: \d+ {2}places: \d+ {2}dropped: 0/);
+    expect(err).toMatch(/geocoding: off/);
+  });
+
+  it('explains dropped rows', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const file = path.join(dir, 'sf.json');
+    const rows = JSON.parse(fs.readFileSync(fixture('sf.json'), 'utf8'));
+    const { intersection_point, latitude, longitude, ...noCoords } = rows[0];
+    fs.writeFileSync(file, JSON.stringify([...rows, { ...noCoords, cad_number: 'X1' }]));
+
+    const { code, err } = await cli('fetch', 'sf', '--input', file, '--format', 'table');
+    expect(code).toBe(0);
+    expect(err).toMatch(/dropped: 1/);
+    expect(err).toMatch(/dropped no-coordinates: 1/);
+    expect(err).toMatch(/\[no-coordinates\] .*X1/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints tables and GeoJSON', async () => {
+    const table = await cli('fetch', 'sf', '--input', fixture('sf.json'), '--format', 'table', '--quiet');
+    expect(table.out.split('\n')[0]).toMatch(/^id\s+time\s+category\s+name\s+address\s+lat,lon$/);
+    expect(table.err).toBe('');
+
+    const geo = await cli('fetch', 'sf', '--input', fixture('sf.json'), '--format', 'geojson', '--quiet');
+    expect(JSON.parse(geo.out)).toMatchObject({ type: 'FeatureCollection', city: 'sf', features: expect.any(Array) });
+  });
+
+  it('reports usage and lookup errors', async () => {
+    expect((await cli('fetch')).code).toBe(2);
+    expect((await cli('fetch', 'sf', '--format', 'xml')).err).toMatch(/--format must be one of/);
+    const unknown = await cli('fetch', 'atlantis');
+    expect(unknown.code).toBe(1);
+    expect(unknown.err).toMatch(/Unknown city "atlantis" \(cities: nashville, pdx, sf\)/);
+    const missing = await cli('fetch', 'sf', '--input', '/nonexistent/feed.json');
+    expect(missing.code).toBe(1);
+    expect(missing.err).toMatch(/could not be read/);
+  });
+});
@@ -0,0 +1,60 @@
+// tests/cluster.test.js
+const { clusterPlaces, parseClusterQuery, MAX_ZOOM } = require('../src/lib/cluster');
+const { toGeoJSON } = require('../src/lib/formats');
+
+// Two tight groups a few km apart in SF, plus one outlier
+const places = [
+  { id: 'a1', name: 'Burglary', category: 'property', lat: 37.7600, lon: -122.4300 },
+  { id: 'a2', name: 'Theft', category: 'property', lat: 37.7601, lon: -122.4302 },
+  { id: 'a3', name: 'Fight', category: 'disturbance', lat: 37.7603, lon: -122.4299 },
+  { id: 'b1', name: 'Noise', category: 'disturbance', lat: 37.7900, lon: -122.4000 },
+  { id: 'b2', name: 'Noise', category: 'disturbance', lat: 37.7901, lon: -122.4001 },
+  { id: 'x', name: 'Welfare Check', category: 'medical', lat: 37.7100, lon: -122.4700 },
+];
+
+describe('clustering', () => {
+  it('parses cluster=true with a zoom, and ignores it otherwise', () => {
+    expect(parseClusterQuery({})).toBeNull();
+    expect(parseClusterQuery({ cluster: 'false', zoom: '3' })).toBeNull();
+    expect(parseClusterQuery({ cluster: 'true', zoom: '12.7' })).toEqual({ zoom: 12 });
+    expect(() => parseClusterQuery({ cluster: 'true' })).toThrow(/zoom/);
+  });
+
+  it('groups nearby places and leaves lone places unclustered', () => {
+    const { clusters, places: singles } = clusterPlaces(places, { zoom: 13 });
+    expect(clusters.map((c) => c.count)).toEqual([3, 2]);
+    expect(singles.map((p) => p.id)).toEqual(['x']);
+
+    const [a] = clusters;
+    expect(a.dominantCategory).toBe('property');
+    expect(a.categories).toEqual({ property: 2, disturbance: 1 });
+    expect(a.lat).toBeCloseTo(37.76013, 4);
+    expect(a.lon).toBeCloseTo(-122.43003, 4);
+    expect(a.bbox).toEqual([-122.4302, 37.76, -122.4299, 37.7603]);
+    expect(a.expansionZoom).toBeGreaterThan(13);
+    expect(clusters[1].dominantType).toBe('Noise');
+  });
+
+  it('expansion zoom is where a cluster splits', () => {
+    const [a] = clusterPlaces(places, { zoom: 13 }).clusters;
+    const members = places.filter((p) => p.id.startsWith('a'));
+    const next = clusterPlaces(members, { zoom: a.expansionZoom });
+    expect(next.clusters.length + next.places.length).toBeGreaterThan(1);
+    const before = clusterPlaces(members, { zoom: a.expansionZoom - 1 });
+    expect(before.clusters).toHaveLength(1);
+  });
+
+  it('everything is one cluster at world zoom and nothing is clustered past MAX_ZOOM', () => {
+    expect(clusterPlaces(places, { zoom: 0 }).clusters).toHaveLength(1);
+    const close = clusterPlaces(places, { zoom: MAX_ZOOM + 1 });
+    expect(close.clusters).toEqual([]);
+    expect(close.places).toHaveLength(places.length);
+  });
+
+  it('clusters become flagged GeoJSON features', () => {
+    const fc = toGeoJSON({ city: 'sf', zoom: 13, ...clusterPlaces(places, { zoom: 13 }) });
+    expect(fc.features).toHaveLength(3);
+    expect(fc.features[0].properties).toMatchObject({ cluster: true, count: 3 });
+    expect(fc.clusters).toBeUndefined();
+  });
+});
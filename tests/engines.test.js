@@ -0,0 +1,66 @@
+// tests/engines.test.js
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createAdapter } = require('../src/adapters/engines');
+const { resolveCity } = require('../src/providers');
+
+// A city's definition reading a small fixture from disk, without geocoding
+function fromFixture(city, name) {
+  const def = resolveCity(city);
+  const url = pathToFileURL(path.join(__dirname, 'fixtures', 'engines', name)).href;
+  return createAdapter({ ...def, url: { default: url }, geocode: undefined });
+}
+
+describe('arcgis engine', () => {
+  it('reads Esri JSON attributes with x/y geometry', async () => {
+    const { places, quality } = await fromFixture('nashville', 'arcgis-esri.json').fetchCity('nashville');
+    expect(places).toHaveLength(1);
+    expect(places[0]).toMatchObject({
+      id: 'nashvilleMNPD:PD25-0001',
+      lat: 36.1612,
+      lon: -86.7763,
+      callTimeReceived: '2025-08-17T23:20:00.000Z',
+      extras: { incidentTypeName: expect.stringMatching(/shots fired/i) },
+    });
+    expect(quality.dropped.reasons).toEqual({ 'no-coordinates': 1 });
+  });
+});
+
+describe('kml engine fallbacks', () => {
+  it('parses a JSON feed', async () => {
+    const { places, quality } = await fromFixture('pdx', 'pdx.json').fetchCity('pdx');
+    expect(places).toHaveLength(1);
+    expect(places[0]).toMatchObject({ id: 'pdx:PP25000100001', name: 'THEFT - COLD', lat: 45.5189, lon: -122.6769 });
+    expect(places[0].address).not.toMatch(/PORT$/);
+    expect(quality.dropped.reasons).toEqual({ 'no-coordinates': 1 });
+  });
+
+  it('parses an HTML table, taking coordinates from map links', async () => {
+    const { places } = await fromFixture('pdx', 'pdx.html').fetchCity('pdx');
+    const byName = Object.fromEntries(places.map((p) => [p.name, p]));
+    expect(Object.keys(byName).sort()).toEqual(['ASSAULT', 'NOISE']);
+    expect(byName.ASSAULT).toMatchObject({ lat: 45.5122, lon: -122.6229 });
+    expect(byName.NOISE).toMatchObject({ lat: 45.5773, lon: -122.6866 });
+    expect(byName.ASSAULT.callTimeReceivedLocal).toMatch(/^2025-08-17T16:30:00/);
+  });
+});
+
+describe('socrata engine', () => {
+  it('finds coordinates in top-level, GeoJSON, lat/lon object and WKT shapes', async () => {
+    const { places, quality } = await fromFixture('sf', 'sf-shapes.json').fetchCity('sf');
+    const coords = Object.fromEntries(places.map((p) => [p.extras.cadNumber, [p.lat, p.lon]]));
+    expect(coords).toEqual({
+      1: [37.7801, -122.4101],
+      2: [37.7702, -122.4202],
+      3: [37.7603, -122.4303],
+      4: [37.7504, -122.4404],
+    });
+    expect(quality.dropped.reasons).toEqual({ 'no-coordinates': 1 });
+  });
+
+  it('rejects a body that is not a JSON row array instead of returning no places', async () => {
+    for (const file of ['pdx.html', 'arcgis-esri.json']) {
+      await expect(fromFixture('sf', file).fetchCity('sf')).rejects.toMatchObject({ statusCode: 502, code: 'UPSTREAM_BAD_RESPONSE' });
+    }
+  });
+});
@@ -0,0 +1,88 @@
+// tests/formats.test.js
+const { negotiateFormat, toGeoJSON, toCSV, toKML } = require('../src/lib/formats');
+const { parseKML } = require('../src/adapters/engines/kml');
+
+const body = {
+  city: 'sf',
+  source: 'sf',
+  fetchedAt: '2025-08-22T01:00:00.000Z',
+  places: [
+    { id: 'a', name: 'Burglary', category: 'property', subcategory: 'burglary', lat: 37.76, lon: -122.43,
+      address: '18th St / Castro St, San Francisco, CA', callTimeReceived: '2025-08-22T00:10:00.000Z',
+      extras: { priority: 'B', policeDistrict: 'MISSION' } },
+    { id: 'b', name: 'Fight "in progress"', category: 'disturbance', subcategory: 'fight', lat: 37.78, lon: -122.41,
+      address: '=HYPERLINK("x"), SF', extras: { sourceCategory: 'Disturbance & Noise' } },
+  ],
+};
+
+const req = (query, accept) => ({ query, headers: accept ? { accept } : {} });
+
+describe('output formats', () => {
+  it('negotiates from ?format= first, then Accept q-values', () => {
+    expect(negotiateFormat(req({}))).toBe('json');
+    expect(negotiateFormat(req({ format: 'CSV' }, 'application/geo+json'))).toBe('csv');
+    expect(negotiateFormat(req({}, 'text/html, application/geo+json;q=0.9, text/csv;q=0.5'))).toBe('geojson');
+    expect(negotiateFormat(req({}, 'text/html'))).toBe('json');
+    expect(() => negotiateFormat(req({ format: 'xlsx' }))).toThrow(/format/);
+  });
+
+  it('GeoJSON is a FeatureCollection of [lon, lat] points', () => {
+    const fc = toGeoJSON(body);
+    expect(fc).toMatchObject({ type: 'FeatureCollection', city: 'sf', fetchedAt: body.fetchedAt });
+    expect(fc.features[0]).toMatchObject({
+      type: 'Feature',
+      id: 'a',
+      geometry: { type: 'Point', coordinates: [-122.43, 37.76] },
+      properties: { name: 'Burglary', extras: { priority: 'B' } },
+    });
+    expect(fc.features[0].properties.lat).toBeUndefined();
+  });
+
+  it('CSV flattens extras into columns and escapes cells', () => {
+    const [header, first, second] = toCSV(body).trim().split('\r\n');
+    expect(header).toBe('id,name,category,subcategory,lat,lon,address,callTimeReceived,callTimeReceivedLocal,updatedAt,extras.policeDistrict,extras.priority,extras.sourceCategory');
+    expect(first).toBe('a,Burglary,property,burglary,37.76,-122.43,"18th St / Castro St, San Francisco, CA",2025-08-22T00:10:00.000Z,,,MISSION,B,');
+    expect(second).toContain('"Fight ""in progress"""');
+    expect(second).toContain(`"'=HYPERLINK(""x""), SF"`);
+  });
+
+  it('KML round-trips through the KML feed parser', () => {
+    const kml = toKML(body);
+    expect(kml).toContain('<Data name="extras.priority"><value>B</value></Data>');
+    const items = parseKML(kml);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ lat: 37.76, lon: -122.43, record: { name: 'Burglary', address: '18th St / Castro St, San Francisco, CA' } });
+    expect(items[1].record.name).toBe('Fight "in progress"');
+  });
+
+  it('KML placemark ids are valid NCNames and keep the raw id in ExtendedData', () => {
+    const places = ['sf:252332978', 'sf_3a_252332978', 'pdx:PP25 #1'].map((id) => ({ ...body.places[0], id }));
+    const kml = toKML({ ...body, places });
+    const ids = [...kml.matchAll(/<Placemark id="([^"]*)">/g)].map((m) => m[1]);
+    expect(ids).toEqual(['p_sf_3a_252332978', 'p_sf_5f_3a_5f_252332978', 'p_pdx_3a_PP25_20__23_1']);
+    for (const id of ids) expect(id).toMatch(/^[A-Za-z_][A-Za-z0-9_.-]*$/);
+    expect(kml).toContain('<Data name="id"><value>sf:252332978</value></Data>');
+  });
+});
+
+describe('format negotiation over HTTP', () => {
+  const { buildApp } = require('../src/app');
+  let app;
+  beforeAll(() => { app = buildApp(); return app.ready(); });
+  afterAll(() => app.close());
+
+  it('serves place endpoints in the requested format', async () => {
+    const geo = await app.inject({ method: 'GET', url: '/v1/city/sf/history', headers: { accept: 'application/geo+json' } });
+    expect(geo.headers['content-type']).toMatch(/^application\/geo\+json/);
+    expect(geo.headers.vary).toMatch(/Accept/);
+    expect(geo.json()).toMatchObject({ type: 'FeatureCollection', city: 'sf', features: [] });
+
+    const csv = await app.inject({ method: 'GET', url: '/v1/city/sf/history?format=csv' });
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers['content-disposition']).toContain('sf-history.csv');
+    expect(csv.body.startsWith('id,name,')).toBe(true);
+
+    const bad = await app.inject({ method: 'GET', url: '/v1/city/sf/history?format=pdf' });
+    expect(bad.statusCode).toBe(400);
+  });
+});
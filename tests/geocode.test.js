@@ -0,0 +1,54 @@
+// tests/geocode.test.js
+const { createGeocoder } = require('../src/services/geocode');
+const { createGazetteer } = require('../src/services/geocoders/gazetteer');
+
+describe('gazetteer provider', () => {
+  const gazetteer = createGazetteer();
+
+  it('resolves intersections from bundled street data', async () => {
+    const sf = await gazetteer.geocode('18th St / Castro St, San Francisco, CA');
+    expect(sf.lat).toBeCloseTo(37.7609, 3);
+    expect(sf.lon).toBeCloseTo(-122.4350, 3);
+
+    const pdx = await gazetteer.geocode('NE MARTIN LUTHER KING JR BLVD / I84 FWY, Portland, OR');
+    expect(pdx.lat).toBeCloseTo(45.5254, 3);
+    expect(pdx.lon).toBeCloseTo(-122.6617, 3);
+  });
+
+  it('interpolates house numbers where the data has ranges, and misses otherwise', async () => {
+    const hit = await gazetteer.geocode('1000 Broadway, Nashville, TN');
+    expect(hit.lat).toBeGreaterThan(36.153);
+    expect(hit.lat).toBeLessThan(36.1614);
+    expect(await gazetteer.geocode('1310 Coreland Drive, Nashville, TN')).toBeNull();
+  });
+});
+
+describe('geocoder chain', () => {
+  const fail = { name: 'down', geocode: async () => { throw new Error('HTTP 503'); } };
+  const miss = { name: 'empty', geocode: async () => null };
+  const hit = { name: 'local', geocode: jest.fn(async (a) => ({ lat: 1, lon: 2, formatted: a })) };
+
+  it('falls through errors and misses to the next provider, then caches', async () => {
+    const g = createGeocoder({ providers: [fail, miss, hit], ttlSeconds: 60 });
+    await expect(g.geocode('1 Main St')).resolves.toEqual({ lat: 1, lon: 2, formatted: '1 Main St', provider: 'local' });
+    await g.geocode('  1 MAIN st ');
+    expect(hit.geocode).toHaveBeenCalledTimes(1);
+  });
+
+  it('caches approximate hits only briefly', async () => {
+    const cache = { get: async () => undefined, set: jest.fn() };
+    const rough = { name: 'gazetteer', approximate: true, geocode: async () => ({ lat: 1, lon: 2 }) };
+    const g = createGeocoder({ providers: [fail, rough], ttlSeconds: 86400, approximateTtlSeconds: 60, cache });
+    await g.geocode('1 Main St');
+    expect(cache.set).toHaveBeenCalledWith('1 main st', expect.objectContaining({ provider: 'gazetteer' }), 60000);
+
+    await createGeocoder({ providers: [hit], ttlSeconds: 86400, approximateTtlSeconds: 60, cache }).geocode('2 Main St');
+    expect(cache.set).toHaveBeenLastCalledWith('2 main st', expect.anything(), 86400000);
+    expect(createGazetteer().approximate).toBe(true);
+  });
+
+  it('rejects with every provider error when nothing resolves', async () => {
+    const g = createGeocoder({ providers: [fail, miss] });
+    await expect(g.geocode('nowhere')).rejects.toThrow(/down: HTTP 503/);
+  });
+});
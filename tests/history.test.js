@@ -0,0 +1,77 @@
+// tests/history.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../src/services/history');
+
+const place = (id, extras = {}) => ({
+  id,
+  name: 'Theft',
+  lat: 36.16,
+  lon: -86.78,
+  address: '1 Main St, Nashville, TN',
+  callTimeReceived: '2025-08-18T22:00:00.000Z',
+  extras,
+});
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-')); });
+afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+describe('history store', () => {
+  it('tracks first/last seen across snapshots and survives a reload', async () => {
+    const file = path.join(dir, 'history.jsonl');
+    const store = createHistoryStore({ file, retentionHours: 24 * 365 * 100 });
+
+    await store.record('sf', { fetchedAt: '2025-08-18T22:00:00.000Z', places: [place('a'), place('b')] });
+    await store.record('sf', { fetchedAt: '2025-08-18T22:15:00.000Z', places: [place('a', { disposition: 'ADV' })] });
+    await store.record('sf', { fetchedAt: '2025-08-18T22:30:00.000Z', places: [place('a', { disposition: 'ADV' })] });
+
+    const reloaded = createHistoryStore({ file, retentionHours: 24 * 365 * 100 });
+    for (const s of [store, reloaded]) {
+      const all = s.query('sf', { from: 0, to: '2025-08-19T00:00:00Z' });
+      expect(all.map(p => p.id)).toEqual(['a', 'b']);
+      expect(all[0]).toMatchObject({
+        firstSeenAt: '2025-08-18T22:00:00.000Z',
+        lastSeenAt: '2025-08-18T22:30:00.000Z',
+        extras: { disposition: 'ADV' },
+      });
+      expect(all[1].lastSeenAt).toBe('2025-08-18T22:00:00.000Z');
+    }
+  });
+
+  it('compacts the log once enough lines were appended', async () => {
+    const file = path.join(dir, 'history.jsonl');
+    const store = createHistoryStore({ file, retentionHours: 24 * 365 * 100, compactLines: 5 });
+    const lineCount = () => fs.readFileSync(file, 'utf8').trim().split('\n').length;
+
+    await store.record('sf', { fetchedAt: '2025-08-18T22:00:00.000Z', places: [place('a'), place('b')] });
+    for (let i = 1; i <= 2; i++) {
+      await store.record('sf', { fetchedAt: `2025-08-18T22:0${i}:00.000Z`, places: [place('a'), place('b')] });
+    }
+    expect(lineCount()).toBe(4); // two places, two "seen" lines
+
+    await store.record('sf', { fetchedAt: '2025-08-18T22:03:00.000Z', places: [place('a'), place('b')] });
+    expect(lineCount()).toBe(2);
+    expect(fs.readFileSync(file, 'utf8')).toContain('"lastSeenAt":"2025-08-18T22:03:00.000Z"');
+  });
+
+  it('filters by overlapping time range', async () => {
+    const store = createHistoryStore({ file: '', retentionHours: 24 * 365 * 100 });
+    await store.record('pdx', { fetchedAt: '2025-08-18T10:00:00.000Z', places: [place('morning')] });
+    await store.record('pdx', { fetchedAt: '2025-08-18T20:00:00.000Z', places: [place('evening')] });
+
+    expect(store.query('pdx', { from: '2025-08-18T12:00:00Z', to: '2025-08-18T23:00:00Z' }).map(p => p.id)).toEqual(['evening']);
+    expect(store.query('pdx', { from: 0, to: '2025-08-18T12:00:00Z' }).map(p => p.id)).toEqual(['morning']);
+    expect(store.query('nashville')).toEqual([]);
+  });
+
+  it('drops entries not seen within the retention window', async () => {
+    const store = createHistoryStore({ file: '', retentionHours: 1 });
+    const now = Date.now();
+    await store.record('pdx', { fetchedAt: new Date(now - 3 * 3600e3).toISOString(), places: [place('old')] });
+    await store.record('pdx', { fetchedAt: new Date(now).toISOString(), places: [place('new')] });
+
+    expect(store.query('pdx', { from: 0 }).map(p => p.id)).toEqual(['new']);
+  });
+});
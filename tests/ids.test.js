@@ -0,0 +1,42 @@
+// tests/ids.test.js
+const { namespacedId, hashedId, dedupeIds } = require('../src/lib/ids');
+
+describe('place ids', () => {
+  it('namespaces native ids and hashes the rest case- and space-insensitively', () => {
+    expect(namespacedId('sf', 252332978)).toBe('sf:252332978');
+    expect(hashedId('pdx', ['THEFT', ' 1 Main St ', '2025-08-17T23:20:00Z']))
+      .toBe(hashedId('pdx', ['theft', '1 main st', '2025-08-17T23:20:00Z']));
+    expect(hashedId('pdx', ['theft', '1 main st'])).toMatch(/^pdx:h-[0-9a-f]{16}$/);
+  });
+
+  it('suffixes repeated ids by time and place, so reordered rows keep their ids', () => {
+    const rows = () => [
+      { id: 'pdx:h-1', name: 'THEFT', lat: 45.52, lon: -122.68, updatedAt: 'x' },
+      { id: 'pdx:h-2', name: 'NOISE', lat: 45.5, lon: -122.6 },
+      { id: 'pdx:h-1', name: 'THEFT', lat: 45.51, lon: -122.67, updatedAt: 'y' },
+      { id: 'pdx:h-1', name: 'THEFT', lat: 45.53, lon: -122.69 },
+    ];
+    const idsBy = (places) => Object.fromEntries(places.map((p) => [`${p.name}@${p.lat}`, p.id]));
+
+    const first = dedupeIds(rows());
+    expect(first.map((p) => p.name)).toEqual(['THEFT', 'NOISE', 'THEFT', 'THEFT']);
+    expect(new Set(first.map((p) => p.id)).size).toBe(4);
+
+    const shuffled = rows().reverse().map((p) => ({ ...p, updatedAt: 'z' }));
+    expect(idsBy(dedupeIds(shuffled))).toEqual(idsBy(first));
+    expect(idsBy(first)).toEqual({
+      'THEFT@45.51': 'pdx:h-1', 'THEFT@45.52': 'pdx:h-1~2', 'THEFT@45.53': 'pdx:h-1~3', 'NOISE@45.5': 'pdx:h-2',
+    });
+  });
+
+  it('keeps a suffix when that duplicate updates', () => {
+    const rows = (disposition) => [
+      { id: 'sf:1', name: 'FIGHT', lat: 37.77, lon: -122.42, extras: { disposition: 'ADV' }, callTimeReceived: '2025-08-17T23:20:00Z' },
+      { id: 'sf:1', name: 'FIGHT', lat: 37.77, lon: -122.42, extras: { disposition }, callTimeReceived: '2025-08-17T23:10:00Z' },
+    ];
+    const before = dedupeIds(rows('')).map((p) => p.id);
+    const after = dedupeIds(rows('HAN')).map((p) => p.id);
+    expect(before).toEqual(['sf:1~2', 'sf:1']);
+    expect(after).toEqual(before);
+  });
+});
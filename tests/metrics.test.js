@@ -0,0 +1,68 @@
+// tests/metrics.test.js
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { buildApp } = require('../src/app');
+const { createGeocoder } = require('../src/services/geocode');
+const { createCache } = require('../src/services/cache');
+
+describe('GET /metrics', () => {
+  let app;
+  let agent;
+  let previous;
+  beforeAll(async () => {
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+    app = buildApp();
+    await app.ready();
+  });
+  afterAll(async () => {
+    await app.close();
+    setGlobalDispatcher(previous);
+    await agent.close();
+  });
+
+  const scrape = async () => {
+    const res = await app.inject({ method: 'GET', url: '/metrics' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    return res.body;
+  };
+
+  it('reports adapter fetches, upstream codes, places and cache results', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const u = new URL(process.env.SF_DATASET_URL);
+    agent.get(u.origin).intercept({ method: 'GET', path: /^\/sf/ })
+      .reply(200, fs.readFileSync(path.join(__dirname, 'fixtures', 'sf.json'), 'utf8'));
+
+    await app.inject({ method: 'GET', url: '/v1/city/sf' });
+    await app.inject({ method: 'GET', url: '/v1/city/sf' });
+    const body = await scrape();
+
+    expect(body).toMatch(/activedispatch_adapter_fetch_duration_seconds_count\{source="sf",status="ok"\} 1/);
+    expect(body).toMatch(/activedispatch_upstream_responses_total\{source="sf",code="200"\} 1/);
+    expect(body).toMatch(/activedispatch_city_places\{city="sf",source="sf"\} [1-9]/);
+    expect(body).toMatch(/activedispatch_city_cache_requests_total\{city="sf",result="miss"\} 1/);
+    expect(body).toMatch(/activedispatch_city_cache_requests_total\{city="sf",result="hit"\} 1/);
+    expect(body).toMatch(/process_cpu_seconds_total/);
+  });
+
+  it('counts geocode cache results and provider calls', async () => {
+    const providers = [
+      { name: 'opencage', geocode: async (a) => (/known/.test(a) ? { lat: 1, lon: 2 } : null) },
+      { name: 'gazetteer', geocode: async () => { throw new Error('boom'); } },
+    ];
+    const g = createGeocoder({ providers, cache: createCache({ name: 'm', backend: 'memory', maxEntries: 10 }) });
+    await g.geocode('known st');
+    await g.geocode('known st');
+    await expect(g.geocode('other st')).rejects.toThrow();
+    const body = await scrape();
+
+    expect(body).toMatch(/activedispatch_geocode_cache_requests_total\{result="hit"\} 1/);
+    expect(body).toMatch(/activedispatch_geocoder_requests_total\{provider="opencage",outcome="ok"\} 1/);
+    expect(body).toMatch(/activedispatch_geocoder_requests_total\{provider="opencage",outcome="no_result"\} 1/);
+    expect(body).toMatch(/activedispatch_geocoder_requests_total\{provider="gazetteer",outcome="error"\} 1/);
+    expect(body).toMatch(/activedispatch_geocode_failures_total 1/);
+  });
+});
@@ -0,0 +1,86 @@
+// tests/nearby.test.js
+jest.mock('../src/providers', () => {
+  const actual = jest.requireActual('../src/providers');
+  return { ...actual, listCoverage: jest.fn(actual.listCoverage) };
+});
+
+const fs = require('fs');
+const path = require('path');
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const providers = require('../src/providers');
+const { buildApp } = require('../src/app');
+
+const [castro] = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sf.json'), 'utf8'));
+const at = (cad, lat, lon) => ({ ...castro, cad_number: cad, intersection_point: { type: 'Point', coordinates: [lon, lat] } });
+const rows = [
+  at('252332980', 37.7700, -122.4350), // ~0.6 mi north of Castro
+  castro,                              // 18th & Castro
+  at('252332981', 37.8000, -122.4000), // ~3.3 mi away
+];
+
+describe('nearby', () => {
+  let app;
+  let agent;
+  let previous;
+  beforeAll(async () => {
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+
+    const sf = new URL(process.env.SF_DATASET_URL);
+    agent.get(sf.origin).intercept({ method: 'GET', path: /^\/sf/ }).reply(200, JSON.stringify(rows)).persist();
+    const pdx = new URL(process.env.PORTLAND_URL);
+    agent.get(pdx.origin).intercept({ method: 'GET', path: /^\/pdx/ }).reply(503, 'down').persist();
+
+    app = buildApp();
+    await app.ready();
+  });
+  afterAll(async () => {
+    await app.close();
+    setGlobalDispatcher(previous);
+    await agent.close();
+  });
+  afterEach(() => providers.listCoverage.mockImplementation(jest.requireActual('../src/providers').listCoverage));
+
+  const get = (url) => app.inject({ method: 'GET', url });
+
+  it('returns places within the radius, nearest first', async () => {
+    const res = await get('/v1/nearby?lat=37.7609&lon=-122.4350&radius=1');
+    expect(res.statusCode).toBe(200);
+    const body = res.json();
+    expect(body).toMatchObject({ lat: 37.7609, lon: -122.435, radiusMiles: 1 });
+    expect(body.cities).toEqual([expect.objectContaining({ city: 'sf', source: 'sf', ok: true })]);
+    expect(body.places.map((p) => p.id)).toEqual(['sf:252332978', 'sf:252332980']);
+    expect(body.places[0].distanceMiles).toBeLessThan(0.01);
+    expect(body.places[1].distanceMiles).toBeCloseTo(0.63, 1);
+
+    const wider = (await get('/v1/nearby?lat=37.7609&lon=-122.4350&radius=5')).json();
+    expect(wider.places.map((p) => p.id)).toEqual(['sf:252332978', 'sf:252332980', 'sf:252332981']);
+  });
+
+  it('only queries cities whose coverage the circle reaches', async () => {
+    // Daly City, just south of San Francisco's bounds
+    const reaches = (await get('/v1/nearby?lat=37.6879&lon=-122.4702&radius=2')).json();
+    expect(reaches.cities.map((c) => c.city)).toEqual(['sf']);
+
+    const short = (await get('/v1/nearby?lat=37.6879&lon=-122.4702&radius=0.5')).json();
+    expect(short).toMatchObject({ cities: [], places: [] });
+
+    expect((await get('/v1/nearby?lat=37.7609&lon=-122.4350&radius=60')).statusCode).toBe(400);
+    expect((await get('/v1/nearby?lon=-122.4350')).statusCode).toBe(400);
+  });
+
+  it('reports a failing city and still returns the others', async () => {
+    // pretend Portland's coverage reaches the point too; its feed is down
+    const actual = jest.requireActual('../src/providers').listCoverage();
+    providers.listCoverage.mockReturnValue(actual.map((c) => (c.city === 'pdx' ? { ...c, bounds: actual.find((s) => s.city === 'sf').bounds } : c)));
+
+    const res = await get('/v1/nearby?lat=37.7609&lon=-122.4350&radius=1');
+    expect(res.statusCode).toBe(200);
+    const by = Object.fromEntries(res.json().cities.map((c) => [c.city, c]));
+    expect(by.sf.ok).toBe(true);
+    expect(by.pdx).toMatchObject({ ok: false, source: 'pdx', code: 'UPSTREAM_HTTP_ERROR' });
+    expect(res.json().places.map((p) => p.city)).toEqual(['sf', 'sf']);
+  });
+});
@@ -0,0 +1,42 @@
+// tests/placeQuery.test.js
+const { parsePlaceQuery, applyPlaceQuery } = require('../src/lib/placeQuery');
+
+const places = [
+  { id: 'a', name: 'Burglary', category: 'property', lat: 37.76, lon: -122.43, callTimeReceived: '2025-08-22T00:10:00Z', extras: { priority: 'B' } },
+  { id: 'b', name: 'Traffic Stop', category: 'traffic', lat: 37.78, lon: -122.41, callTimeReceived: '2025-08-22T00:30:00Z', extras: { priority: 'C' } },
+  { id: 'c', name: 'Burglary Alarm', category: 'property', lat: 37.71, lon: -122.47, callTimeReceived: '2025-08-22T00:20:00Z', extras: { priority: 'A' } },
+  { id: 'd', name: 'Welfare Check', category: 'medical', lat: 37.77, lon: -122.42, extras: {} },
+];
+const run = (query) => applyPlaceQuery(places, parsePlaceQuery(query));
+const ids = (res) => res.places.map(p => p.id);
+
+describe('place query', () => {
+  it('returns null when no query parameters are present', () => {
+    expect(parsePlaceQuery({})).toBeNull();
+  });
+
+  it('filters by bbox, time window, name, category and priority', () => {
+    expect(ids(run({ bbox: '-122.45,37.75,-122.40,37.79' }))).toEqual(['b', 'a', 'd']);
+    expect(ids(run({ since: '2025-08-22T00:15:00Z' }))).toEqual(['b', 'c']);
+    expect(ids(run({ q: 'burglary' }))).toEqual(['c', 'a']);
+    expect(ids(run({ category: 'Property,medical' }))).toEqual(['c', 'a', 'd']);
+    expect(ids(run({ priority: 'a,b' }))).toEqual(['c', 'a']);
+  });
+
+  it('sorts and paginates with a cursor', () => {
+    const first = run({ sort: 'name', limit: '2' });
+    expect(ids(first)).toEqual(['a', 'c']);
+    expect(first.total).toBe(4);
+
+    const second = run({ sort: 'name', limit: '2', cursor: first.nextCursor });
+    expect(ids(second)).toEqual(['b', 'd']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('rejects malformed parameters with 400s', () => {
+    expect(() => parsePlaceQuery({ bbox: '1,2,3' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => parsePlaceQuery({ sort: 'lat' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    const { nextCursor } = run({ sort: 'name', limit: '1' });
+    expect(() => parsePlaceQuery({ sort: '-name', cursor: nextCursor })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
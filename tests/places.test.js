@@ -0,0 +1,85 @@
+// tests/places.test.js
+const fs = require('fs');
+const path = require('path');
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { buildApp } = require('../src/app');
+
+const read = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('multi-city places', () => {
+  let app;
+  let agent;
+  let previous;
+  beforeAll(async () => {
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+
+    const nashville = new URL(process.env.NASHVILLE_URL);
+    agent.get(nashville.origin).intercept({ method: 'GET', path: /^\/nashville/ }).reply(200, read('nashville.json'));
+    const sf = new URL(process.env.SF_DATASET_URL);
+    agent.get(sf.origin).intercept({ method: 'GET', path: /^\/sf/ }).reply(200, read('sf.json'));
+    const pdx = new URL(process.env.PORTLAND_URL);
+    agent.get(pdx.origin).intercept({ method: 'GET', path: /^\/pdx/ }).reply(404, 'gone');
+
+    app = buildApp();
+    await app.ready();
+  });
+  afterAll(async () => {
+    await app.close();
+    setGlobalDispatcher(previous);
+    await agent.close();
+  });
+
+  const get = (url) => app.inject({ method: 'GET', url });
+
+  it('returns every city that loaded and reports the one that failed', async () => {
+    const res = await get('/v1/places?cities=all');
+    expect(res.statusCode).toBe(200);
+    const body = res.json();
+    expect(body.partial).toBe(true);
+
+    const by = Object.fromEntries(body.cities.map((c) => [c.city, c]));
+    expect(Object.keys(by)).toEqual(['nashville', 'pdx', 'sf']);
+    expect(by.nashville).toMatchObject({ ok: true, source: 'nashvilleMNPD', stale: false, count: expect.any(Number) });
+    expect(by.sf).toMatchObject({ ok: true, source: 'sf' });
+    expect(by.pdx).toMatchObject({ ok: false, source: 'pdx', code: 'UPSTREAM_HTTP_ERROR' });
+    expect(by.pdx.error).toMatch(/404/);
+
+    expect(body.total).toBe(by.nashville.count + by.sf.count);
+    expect(body.places.some((p) => p.city === 'sf')).toBe(true);
+    for (const p of body.places) {
+      expect(['nashville', 'sf']).toContain(p.city);
+      expect(p.source).toBe(by[p.city].source);
+    }
+
+    const times = body.places.map((p) => Date.parse(p.callTimeReceived)).filter(Number.isFinite);
+    expect(times).toEqual([...times].sort((a, b) => b - a));
+  });
+
+  it('accepts aliases, deduplicates them and applies the usual filters', async () => {
+    const res = await get('/v1/places?cities=san-francisco,sf&limit=1');
+    const body = res.json();
+    expect(body.partial).toBe(false);
+    expect(body.cities.map((c) => c.city)).toEqual(['sf']);
+    expect(body.places).toHaveLength(1);
+    expect(body.places[0]).toMatchObject({ city: 'sf', source: 'sf' });
+  });
+
+  it('rejects missing or unknown cities', async () => {
+    const missing = await get('/v1/places');
+    expect(missing.statusCode).toBe(400);
+    const unknown = await get('/v1/places?cities=sf,atlantis');
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.json()).toMatchObject({ code: 'BAD_REQUEST', cities: ['nashville', 'pdx', 'sf'] });
+    expect(unknown.json().detail).toMatch(/atlantis/);
+  });
+
+  it('ignores a leftover cursor and limit when clustering', async () => {
+    const res = await get('/v1/city/sf?cluster=true&zoom=12&cursor=stale&limit=0&category=property');
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({ zoom: 12, total: expect.any(Number) });
+    expect(res.json().total).toBe(res.json().places.length + res.json().clusters.reduce((n, c) => n + c.count, 0));
+  });
+});
@@ -0,0 +1,59 @@
+// tests/quality.test.js
+jest.mock('../src/services/geocode', () => ({
+  geocode: async (address) => {
+    if (/nowhere/i.test(address)) throw new Error('Geocode: no results');
+    return { lat: 40.1, lon: -75.1, formatted: address };
+  },
+  normalizeAddress: (s) => String(s || '').trim().toLowerCase(),
+}));
+
+const { buildPayload } = require('../src/adapters/engines/common');
+const { createQualityLog } = require('../src/services/quality');
+
+const def = {
+  name: 'test',
+  slug: 'test',
+  timezone: 'America/New_York',
+  cityState: { city: 'Testville', state: 'PA' },
+  center: { lat: 40, lon: -75 },
+  fields: { id: 'id', name: 'name', callTime: 'time' },
+  address: { street: 'address' },
+  geocode: { concurrency: 1 },
+};
+
+const items = [
+  { record: { id: '1', name: 'Theft', address: '1 Main St', time: '2025-08-22T10:00:00' }, lat: 40, lon: -75 },
+  { record: { id: '2', name: 'Noise', address: '2 Main St' } },
+  { record: { id: '3', name: 'Fight', address: 'Nowhere Rd', time: '2025-08-22T10:05:00' } },
+  { record: { id: '4', name: 'Alarm', time: '2025-08-22T10:06:00' } },
+  { record: { id: '5', name: 'Assault', address: '5 Main St', time: '2025-08-22T10:07:00' }, lat: 200, lon: -75 },
+];
+
+describe('data-quality report', () => {
+  it('counts raw rows, geocode failures, missing timestamps and drops by reason', async () => {
+    const { places, quality } = await buildPayload(def, 'test', items);
+    expect(places.map((p) => p.id)).toEqual(['test:1', 'test:2']);
+    expect(quality).toMatchObject({
+      rawRows: 5,
+      places: 2,
+      geocode: { attempted: 2, failed: 1 },
+      missingTimestamps: 1,
+      schemaViolations: 1,
+      dropped: {
+        total: 3,
+        reasons: { 'geocode-failed': 1, 'no-coordinates-or-address': 1, 'schema-violation': 1 },
+      },
+    });
+    const byReason = Object.fromEntries(quality.rejectedSamples.map((s) => [s.reason, s]));
+    expect(byReason['geocode-failed'].record).toEqual(items[2].record);
+    expect(byReason['schema-violation'].detail).toMatch(/^lat:/);
+  });
+
+  it('keeps the latest reports per source', () => {
+    const log = createQualityLog({ keep: 2 });
+    for (const n of [1, 2, 3]) log.record('test', { rawRows: n, rejectedSamples: [{ reason: 'x' }] });
+    expect(log.latest('test').rawRows).toBe(3);
+    expect(log.recent('test')).toEqual([{ rawRows: 3 }, { rawRows: 2 }]);
+    expect(log.latest('other')).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+// tests/recordings.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { createUpstreamClient } = require('../src/services/upstream');
+const { createRecorder, createReplayer } = require('../src/services/recordings');
+const { shiftTimestamps } = require('../src/lib/timeShift');
+
+const HOUR = 3600 * 1000;
+
+describe('time shifting', () => {
+  it('moves ISO, long-form and epoch timestamps, keeping their format', () => {
+    const around = Date.UTC(2025, 7, 17, 23);
+    const text = JSON.stringify({
+      a: '2025-08-17T16:20:00.000',
+      b: '2025-08-17T23:20:00Z',
+      c: 'Sunday, August 17, 2025 11:20 PM',
+      d: Date.UTC(2025, 7, 17, 23, 20),
+      id: 4000000000000,
+    });
+    const out = JSON.parse(shiftTimestamps(text, 2 * HOUR, { around }));
+    expect(out).toEqual({
+      a: '2025-08-17T18:20:00.000',
+      b: '2025-08-18T01:20:00Z',
+      c: 'Monday, August 18, 2025 1:20 AM',
+      d: Date.UTC(2025, 7, 18, 1, 20),
+      id: 4000000000000,
+    });
+  });
+});
+
+describe('record and replay', () => {
+  let dir;
+  let agent;
+  let previous;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+  });
+  afterEach(async () => {
+    setGlobalDispatcher(previous);
+    await agent.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves live responses without credentials and replays them in order', async () => {
+    let now = Date.UTC(2025, 7, 17, 23, 0);
+    const base = createRecorder({ dir, now: () => now });
+    const writes = [];
+    const recorder = { record: (...args) => { const p = base.record(...args); writes.push(p); return p; } };
+    const pool = agent.get('https://feed.test');
+    pool.intercept({ method: 'GET', path: /^\/data/ }).reply(200, '{"n":1}');
+    pool.intercept({ method: 'GET', path: /^\/data/ }).reply(200, '{"n":2}');
+    pool.intercept({ method: 'GET', path: /^\/data/ }).reply(500, 'down');
+
+    const live = createUpstreamClient({ recorder, retries: 0 });
+    await live.fetchText('geocoder:test', 'https://feed.test/data?q=main&key=SECRET');
+    now += 60 * 1000;
+    await live.fetchText('geocoder:test', 'https://feed.test/data?q=main&key=SECRET');
+    await expect(live.fetchText('geocoder:test', 'https://feed.test/data?q=main&key=SECRET')).rejects.toThrow();
+    await Promise.all(writes); // recordings are written in the background
+
+    const files = fs.readdirSync(path.join(dir, 'geocoder_test')).sort();
+    expect(files).toHaveLength(2);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'geocoder_test', files[0]), 'utf8'));
+    expect(saved).toMatchObject({ source: 'geocoder:test', status: 200, body: '{"n":1}', recordedAt: '2025-08-17T23:00:00.000Z' });
+    expect(saved.url).not.toContain('SECRET');
+
+    const replay = createUpstreamClient({ replayer: createReplayer({ dir }) });
+    const url = 'https://feed.test/data?key=OTHER&q=main';
+    await expect(replay.fetchJson('geocoder:test', url)).resolves.toEqual({ n: 1 });
+    await expect(replay.fetchJson('geocoder:test', url)).resolves.toEqual({ n: 2 });
+    await expect(replay.fetchJson('geocoder:test', url)).resolves.toEqual({ n: 2 }); // stays on the last
+
+    const looping = createUpstreamClient({ replayer: createReplayer({ dir, loop: true }) });
+    for (const n of [1, 2, 1]) await expect(looping.fetchJson('geocoder:test', url)).resolves.toEqual({ n });
+
+    await expect(replay.fetchText('nothing', 'https://feed.test/x'))
+      .rejects.toMatchObject({ statusCode: 502, code: 'UPSTREAM_NOT_RECORDED', source: 'nothing' });
+  });
+
+  it('time-shifts replayed bodies to now and tolerates a changed feed URL', async () => {
+    const recordedAt = Date.UTC(2025, 7, 17, 23, 0);
+    await createRecorder({ dir, now: () => recordedAt })
+      .record('pdx', { url: 'https://old.test/feed.kml', status: 200, body: '<when>2025-08-17T22:55:00Z</when>' });
+
+    const replayer = createReplayer({ dir, timeShift: true, now: () => recordedAt + 48 * HOUR });
+    const hit = replayer.next('pdx', { url: 'https://new.test/feed.kml' });
+    expect(hit.body).toBe('<when>2025-08-19T22:55:00Z</when>');
+  });
+
+  it('matches geocoder lookups exactly and reports corrupt recordings', async () => {
+    const recorder = createRecorder({ dir });
+    await recorder.record('geocoder:nominatim', { url: 'https://geo.test/search?q=1+Main+St', status: 200, body: '[]' });
+    const replay = createUpstreamClient({ replayer: createReplayer({ dir }) });
+    await expect(replay.fetchJson('geocoder:nominatim', 'https://geo.test/search?q=2+Oak+Ave'))
+      .rejects.toMatchObject({ code: 'UPSTREAM_NOT_RECORDED' });
+
+    fs.mkdirSync(path.join(dir, 'pdx'));
+    fs.writeFileSync(path.join(dir, 'pdx', '20250817T230000000Z-000001.json'), '{"source":"pdx",');
+    await expect(replay.fetchText('pdx', 'https://pdx.test/feed.kml'))
+      .rejects.toMatchObject({ statusCode: 502, code: 'UPSTREAM_BAD_RECORDING', message: expect.stringContaining('000001.json') });
+  });
+
+  it('shifts every recording by the same offset', async () => {
+    const recordedAt = Date.UTC(2025, 7, 17, 23, 0);
+    const body = '{"id":"A1","time":"2025-08-17T22:55:00Z"}';
+    for (const minutes of [0, 10]) {
+      await createRecorder({ dir, now: () => recordedAt + minutes * 60 * 1000 })
+        .record('sf', { url: 'https://sf.test/feed.json', status: 200, body });
+    }
+
+    let now = recordedAt + 24 * HOUR;
+    const replayer = createReplayer({ dir, timeShift: true, now: () => now });
+    const first = replayer.next('sf', { url: 'https://sf.test/feed.json' });
+    now += 3 * 60 * 1000; // the second fetch comes a bit later
+    const second = replayer.next('sf', { url: 'https://sf.test/feed.json' });
+    expect(JSON.parse(first.body).time).toBe('2025-08-18T22:55:00Z');
+    expect(second.body).toBe(first.body);
+  });
+});
@@ -0,0 +1,54 @@
+// tests/refresher.test.js
+jest.mock('../src/services/cityData', () => ({ refreshCity: jest.fn() }));
+jest.mock('../src/providers', () => ({
+  resolveProvider: (city) => ({ name: city.startsWith('nash') ? 'nashvilleMNPD' : city }),
+}));
+
+const { refreshCity } = require('../src/services/cityData');
+const { watch } = require('../src/services/refresher');
+const { streamRefreshSeconds } = require('../src/config');
+
+const PERIOD = streamRefreshSeconds * 1000;
+
+describe('background refresher', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    refreshCity.mockReset().mockResolvedValue({});
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('refreshes a watched city on a timer shared by all its watchers', async () => {
+    const a = watch('nashville');
+    const b = watch('nash'); // alias of the same source: no second timer
+    await jest.advanceTimersByTimeAsync(PERIOD * 2);
+    expect(refreshCity).toHaveBeenCalledTimes(2);
+    expect(refreshCity).toHaveBeenCalledWith('nashville', expect.anything());
+
+    a();
+    a(); // releasing twice counts once
+    await jest.advanceTimersByTimeAsync(PERIOD);
+    expect(refreshCity).toHaveBeenCalledTimes(3);
+
+    b();
+    await jest.advanceTimersByTimeAsync(PERIOD * 3);
+    expect(refreshCity).toHaveBeenCalledTimes(3);
+  });
+
+  it('skips a tick while the previous refresh is still running, and survives failures', async () => {
+    let finish;
+    refreshCity.mockImplementationOnce(() => new Promise((resolve) => { finish = resolve; }));
+    refreshCity.mockRejectedValueOnce(new Error('feed down'));
+    const log = { warn: jest.fn() };
+    const release = watch('pdx', { log });
+
+    await jest.advanceTimersByTimeAsync(PERIOD * 3);
+    expect(refreshCity).toHaveBeenCalledTimes(1);
+
+    finish({});
+    await jest.advanceTimersByTimeAsync(PERIOD);
+    expect(log.warn).toHaveBeenCalledWith(expect.objectContaining({ city: 'pdx' }), 'background refresh failed');
+    await jest.advanceTimersByTimeAsync(PERIOD);
+    expect(refreshCity).toHaveBeenCalledTimes(3);
+    release();
+  });
+});
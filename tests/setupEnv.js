@@ -11,3 +11,10 @@ process.env.SF_DATASET_URL  ||= 'https://example.test/sf';
 process.env.GEOCODE_API_KEY ||= 'test-dummy-key';
 process.env.LOG_LEVEL       ||= 'warn';
 process.env.NODE_ENV        ||= 'test';
+
+// Keep incident history in memory during tests
+process.env.HISTORY_FILE    ??= '';
+
+// ...and webhook subscriptions / dead letters
+process.env.WEBHOOKS_FILE   ??= '';
+process.env.WEBHOOK_DEAD_LETTER_FILE ??= '';
@@ -0,0 +1,48 @@
+// tests/stats.test.js
+const { parseWindow, parseGroupBy, computeStats } = require('../src/lib/stats');
+
+const to = Date.parse('2025-08-22T12:00:00Z');
+const from = to - 24 * 3600 * 1000;
+const places = [
+  { id: 'a', name: 'Burglary', category: 'property', callTimeReceived: '2025-08-22T07:10:00Z', extras: { policeDistrict: 'MISSION' } },
+  { id: 'b', name: 'Burglary', category: 'property', callTimeReceived: '2025-08-22T07:50:00Z', extras: { policeDistrict: 'CENTRAL' } },
+  { id: 'c', name: 'Fight', category: 'disturbance', callTimeReceived: '2025-08-21T20:00:00Z', extras: { policeDistrict: 'MISSION' } },
+  { id: 'd', name: 'Noise', category: 'disturbance', firstSeenAt: '2025-08-22T11:00:00Z', extras: {} },
+  { id: 'old', name: 'Theft', category: 'property', callTimeReceived: '2025-08-20T00:00:00Z', extras: {} },
+];
+
+describe('stats', () => {
+  it('parses windows and group dimensions', () => {
+    expect(parseWindow('24h')).toBe(24 * 3600 * 1000);
+    expect(parseWindow('7d')).toBe(7 * 24 * 3600 * 1000);
+    expect(() => parseWindow('week')).toThrow(/window/);
+    expect(() => parseWindow('30d', { maxMs: 7 * 24 * 3600 * 1000 })).toThrow(/exceed/);
+    expect(parseGroupBy()).toEqual(['category']);
+    expect(parseGroupBy('hour, policeDistrict')).toEqual(['hour', 'policeDistrict']);
+    expect(() => parseGroupBy('a b')).toThrow(/groupBy/);
+  });
+
+  it('counts by category and extras key, most common first', () => {
+    const s = computeStats(places, { groupBy: ['category', 'policeDistrict'], from, to, timeZone: 'America/Los_Angeles' });
+    expect(s.total).toBe(4);
+    expect(s.averagePerDay).toBe(4);
+    expect(s.groups.category).toEqual([
+      { key: 'disturbance', count: 2, share: 0.5 },
+      { key: 'property', count: 2, share: 0.5 },
+    ]);
+    expect(s.groups.policeDistrict.map((g) => [g.key, g.count])).toEqual([['MISSION', 2], ['CENTRAL', 1], ['unknown', 1]]);
+  });
+
+  it('buckets hours and days in the city time zone, with zeros', () => {
+    const s = computeStats(places, { groupBy: ['hour', 'day'], from, to, timeZone: 'America/Los_Angeles' });
+    expect(s.groups.hour).toHaveLength(24);
+    // 07:10Z and 07:50Z are 00:xx PDT; 20:00Z is 13:00; 11:00Z is 04:00
+    expect(s.groups.hour[0]).toMatchObject({ key: 0, count: 2 });
+    expect(s.groups.hour[13].count).toBe(1);
+    expect(s.groups.hour[4].count).toBe(1);
+    expect(s.groups.day).toEqual([
+      { key: '2025-08-21', count: 1, share: 0.25 },
+      { key: '2025-08-22', count: 3, share: 0.75 },
+    ]);
+  });
+});
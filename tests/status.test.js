@@ -0,0 +1,77 @@
+// tests/status.test.js
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { buildApp } = require('../src/app');
+const { collectStatus } = require('../src/services/status');
+
+describe('status and readiness', () => {
+  let app;
+  let agent;
+  let previous;
+  beforeAll(async () => {
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+    app = buildApp();
+    await app.ready();
+  });
+  afterAll(async () => {
+    await app.close();
+    setGlobalDispatcher(previous);
+    await agent.close();
+  });
+
+  const get = (url) => app.inject({ method: 'GET', url });
+
+  it('is ready before anything has been fetched', async () => {
+    const res = await get('/readyz');
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toEqual({ ready: true, sources: { nashville: 'unknown', pdx: 'unknown', sf: 'unknown' } });
+  });
+
+  it('is not ready once every source has failed with nothing cached', async () => {
+    for (const [env, name] of [['SF_DATASET_URL', 'sf'], ['PORTLAND_URL', 'pdx'], ['NASHVILLE_URL', 'nashville']]) {
+      const url = new URL(process.env[env]);
+      agent.get(url.origin).intercept({ method: 'GET', path: new RegExp(`^/${name}`) }).reply(404, 'gone');
+      expect((await get(`/v1/city/${name}`)).statusCode).toBe(502);
+    }
+    const res = await get('/readyz');
+    expect(res.statusCode).toBe(503);
+    expect(res.json()).toEqual({ ready: false, sources: { nashville: 'error', pdx: 'error', sf: 'error' } });
+  });
+
+  it('reports fresh and failing sources', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const sf = new URL(process.env.SF_DATASET_URL);
+    agent.get(sf.origin).intercept({ method: 'GET', path: /^\/sf/ })
+      .reply(200, fs.readFileSync(path.join(__dirname, 'fixtures', 'sf.json'), 'utf8'));
+    const pdx = new URL(process.env.PORTLAND_URL);
+    agent.get(pdx.origin).intercept({ method: 'GET', path: /^\/pdx/ }).reply(404, 'gone');
+
+    expect((await get('/v1/city/sf')).statusCode).toBe(200);
+    expect((await get('/v1/city/pdx')).statusCode).toBe(502);
+
+    const { ready, staleAfterSeconds, sources } = (await get('/v1/status')).json();
+    expect(ready).toBe(true);
+    expect(staleAfterSeconds).toBeGreaterThan(0);
+    const by = Object.fromEntries(sources.map((s) => [s.city, s]));
+
+    expect(by.sf).toMatchObject({ source: 'sf', status: 'ok', stale: false, dataAgeSeconds: 0, circuit: 'closed' });
+    expect(Date.parse(by.sf.lastSuccessAt)).toBeGreaterThanOrEqual(Date.parse(by.sf.lastError.at)); // recovered
+    expect(by.sf.lastLatencyMs).toBeGreaterThanOrEqual(0);
+
+    expect(by.pdx).toMatchObject({ status: 'error', stale: true, dataAgeSeconds: null, lastSuccessAt: null });
+    expect(by.pdx.lastError).toMatchObject({ code: 'UPSTREAM_HTTP_ERROR' });
+    expect(by.pdx.lastError.message).toMatch(/404/);
+
+    expect(by.nashville.status).toBe('error');
+    expect((await get('/readyz')).statusCode).toBe(200);
+  });
+
+  it('stays ready when the only data left is stale', async () => {
+    const { ready, sources } = await collectStatus({ staleSeconds: -1 });
+    expect(sources.map((s) => s.status).sort()).toEqual(['error', 'error', 'stale']);
+    expect(ready).toBe(true);
+  });
+});
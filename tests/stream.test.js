@@ -0,0 +1,135 @@
+// tests/stream.test.js
+process.env.STREAM_HEARTBEAT_SECONDS = '0.05';
+process.env.STREAM_REFRESH_SECONDS = '0.05';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { buildApp } = require('../src/app');
+
+const rows = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sf.json'), 'utf8'));
+const added = { ...rows[0], cad_number: '252333001', call_type_final_desc: 'TRAFFIC COLLISION' };
+
+const waitFor = async (check, ms = 3000) => {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out waiting for the stream');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// SSE client over plain http: collects the parsed events (and heartbeat comments)
+function openSse(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, { headers }, (res) => {
+      const stream = { res, text: '', close: () => req.destroy() };
+      stream.events = () => stream.text.split('\n\n').filter((b) => b.startsWith('id:')).map((block) => {
+        const field = (name) => block.match(new RegExp(`^${name}: (.*)$`, 'm'))?.[1];
+        return { id: field('id'), event: field('event'), data: JSON.parse(field('data')) };
+      });
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { stream.text += chunk; });
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('live stream', () => {
+  let app;
+  let agent;
+  let previous;
+  let base;
+  beforeAll(async () => {
+    previous = getGlobalDispatcher();
+    agent = new MockAgent();
+    agent.disableNetConnect();
+    setGlobalDispatcher(agent);
+
+    // first fetch: the fixture; every background refresh after it: one more incident
+    const sf = agent.get(new URL(process.env.SF_DATASET_URL).origin);
+    sf.intercept({ method: 'GET', path: /^\/sf/ }).reply(200, JSON.stringify(rows));
+    sf.intercept({ method: 'GET', path: /^\/sf/ }).reply(200, JSON.stringify([...rows, added])).persist();
+
+    app = buildApp();
+    await app.listen({ port: 0, host: '127.0.0.1' });
+    base = `http://127.0.0.1:${app.server.address().port}`;
+  });
+  afterAll(async () => {
+    await app.close();
+    setGlobalDispatcher(previous);
+    await agent.close();
+  });
+
+  it('sends a snapshot, then changes from the background refresh, then heartbeats over SSE', async () => {
+    const stream = await openSse(`${base}/v1/city/sf/stream`);
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toBe('text/event-stream');
+
+    await waitFor(() => stream.events().some((e) => e.event === 'created') && stream.text.includes(': heartbeat'));
+    stream.close();
+
+    const [snapshot, created] = stream.events();
+    expect(snapshot).toMatchObject({ event: 'snapshot', data: { source: 'sf' } });
+    expect(snapshot.data.places).toHaveLength(1);
+    expect(created).toMatchObject({ event: 'created', data: { type: 'created', source: 'sf', place: { name: 'TRAFFIC COLLISION' } } });
+    expect(Number(created.id)).toBeGreaterThan(Number(snapshot.id));
+  });
+
+  it('resumes from Last-Event-ID, or starts over with a snapshot when the id is unknown', async () => {
+    const first = await openSse(`${base}/v1/city/sf/stream`);
+    await waitFor(() => first.events().length > 0);
+    first.close();
+    const [{ id, event }] = first.events();
+    expect(event).toBe('snapshot'); // its id is the latest event: the incident added above
+
+    const resumed = await openSse(`${base}/v1/city/sf/stream`, { 'last-event-id': String(Number(id) - 1) });
+    await waitFor(() => resumed.events().length > 0);
+    resumed.close();
+    expect(resumed.events()[0]).toMatchObject({ id, event: 'created' });
+
+    const reset = await openSse(`${base}/v1/city/sf/stream?lastEventId=999999`);
+    await waitFor(() => reset.events().length > 0);
+    reset.close();
+    expect(reset.events()[0].event).toBe('snapshot');
+  });
+
+  it('answers bad resume ids and unknown cities with problem responses', async () => {
+    const bad = await app.inject({ method: 'GET', url: '/v1/city/sf/stream', headers: { 'last-event-id': 'abc' } });
+    expect(bad.statusCode).toBe(400);
+    const unknown = await app.inject({ method: 'GET', url: '/v1/city/atlantis/stream' });
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.json().code).toBe('UNKNOWN_CITY');
+  });
+
+  const openWs = async (url) => {
+    const messages = [];
+    let closed;
+    const closing = new Promise((resolve) => { closed = resolve; });
+    const ws = await app.injectWS(url, {}, {
+      onInit: (socket) => {
+        socket.on('message', (m) => messages.push(JSON.parse(m)));
+        socket.on('close', (code) => closed(code));
+      },
+    });
+    return { ws, messages, closing };
+  };
+
+  it('streams the same events over WebSocket, with heartbeats', async () => {
+    const { ws, messages } = await openWs('/v1/city/sf/stream');
+    await waitFor(() => messages.some((m) => m.event === 'heartbeat'));
+    ws.terminate();
+    expect(messages[0]).toMatchObject({ event: 'snapshot', data: { source: 'sf' } });
+    expect(messages[0].data.places).toHaveLength(2);
+  });
+
+  it('closes WebSockets with client error codes for bad requests', async () => {
+    const unknown = await openWs('/v1/city/atlantis/stream');
+    expect(await unknown.closing).toBe(4404);
+    expect(unknown.messages[0]).toMatchObject({ event: 'error', data: { code: 'UNKNOWN_CITY' } });
+
+    const bad = await openWs('/v1/city/sf/stream?lastEventId=abc');
+    expect(await bad.closing).toBe(1008);
+  });
+});
@@ -0,0 +1,30 @@
+// tests/taxonomy.test.js
+const { CATEGORIES, classify } = require('../src/lib/taxonomy');
+
+describe('taxonomy', () => {
+  it.each([
+    [{ source: 'nashvilleMNPD', code: '70P', name: 'BURGLARY-RESIDENCE BREAK-IN' }, 'property', 'burglary'],
+    [{ source: 'nashvilleMNPD', name: 'SHOTS FIRED' }, 'violent', 'shooting'],
+    [{ source: 'sf', code: '851', name: 'STOLEN VEHICLE' }, 'property', 'vehicle-theft'],
+    [{ source: 'sf', code: '917', name: 'SUSPICIOUS PERSON' }, 'other', 'suspicious'],
+    [{ source: 'sf', name: 'SIT/LIE ENFORCEMENT' }, 'disturbance', 'quality-of-life'],
+    [{ source: 'sf', code: '459A', name: 'BURGLAR ALARM' }, 'property', 'alarm'],
+    [{ source: 'sf', code: '240X' }, 'violent', 'assault'],
+    [{ source: 'pdx', name: 'MISCF - UNKNOWN TYPE OF FIRE PROBLEM' }, 'fire', 'fire'],
+    [{ source: 'pdx', name: 'ACCIDENT - INJURY' }, 'traffic', 'collision'],
+    [{ source: 'pdx', name: 'FIREARM FOUND' }, 'violent', 'weapon'],
+    [{ source: 'pdx', name: 'WELFARE CHECK' }, 'medical', 'welfare-check'],
+    [{ source: 'pdx', name: 'SOMETHING ELSE' }, 'other', 'unclassified'],
+    [{ source: 'nashvilleMNPD', code: '71A', name: 'ALARMED PREMISE' }, 'property', 'alarm'],
+    [{ source: 'nashvilleMNPD', name: 'SUSPICIOUS PERSON NEAR TOWNHOUSE' }, 'other', 'suspicious'],
+    [{ source: 'pdx', name: 'TOWED VEHICLE' }, 'traffic', 'parking'],
+    [{ source: 'pdx', name: 'ARMED SUBJECT' }, 'violent', 'weapon'],
+    [{ source: 'pdx', name: 'DISTURBANCE AT ESTABLISHMENT' }, 'disturbance', 'disturbance'],
+  ])('%j -> %s/%s', (input, category, subcategory) => {
+    expect(classify(input)).toEqual({ category, subcategory });
+  });
+
+  it('only ever yields known categories', () => {
+    expect(CATEGORIES).toContain(classify({}).category);
+  });
+});
@@ -0,0 +1,48 @@
+// tests/time.test.js
+const { parseTimestamp, toISO, toLocalISO, localParts } = require('../src/lib/time');
+const { parseDescription } = require('../src/adapters/engines/kml');
+
+const LA = 'America/Los_Angeles';
+const CHI = 'America/Chicago';
+
+describe('time', () => {
+  it('reads zone-less wall-clock strings in the city zone, across DST', () => {
+    expect(toISO('Sunday, August 17, 2025 4:20 PM', LA)).toBe('2025-08-17T23:20:00.000Z'); // PDT
+    expect(toISO('Monday, January 13, 2025 4:20 PM', LA)).toBe('2025-01-14T00:20:00.000Z'); // PST
+    expect(toISO('2025-08-22T00:10:00.000', LA)).toBe('2025-08-22T07:10:00.000Z');
+    expect(toISO('2025-12-01 08:00:00', CHI)).toBe('2025-12-01T14:00:00.000Z');
+    expect(toISO('08/17/2025 04:20:00 PM', CHI)).toBe('2025-08-17T21:20:00.000Z');
+  });
+
+  it('handles the hours around a DST change', () => {
+    // 2025-03-09 02:00 PST -> 03:00 PDT; 2025-11-02 02:00 PDT -> 01:00 PST
+    expect(toISO('2025-03-09T01:30:00', LA)).toBe('2025-03-09T09:30:00.000Z');
+    expect(toISO('2025-03-09T03:30:00', LA)).toBe('2025-03-09T10:30:00.000Z');
+    expect(toISO('2025-11-02T00:30:00', LA)).toBe('2025-11-02T07:30:00.000Z');
+    expect(toISO('2025-11-02T03:00:00', LA)).toBe('2025-11-02T11:00:00.000Z');
+  });
+
+  it('keeps explicit zones and epoch milliseconds as they are', () => {
+    expect(toISO('2025-08-17T16:20:00Z', LA)).toBe('2025-08-17T16:20:00.000Z');
+    expect(toISO('2025-08-17T16:20:00-05:00', LA)).toBe('2025-08-17T21:20:00.000Z');
+    expect(toISO('Sun, 17 Aug 2025 16:20:00 GMT', CHI)).toBe('2025-08-17T16:20:00.000Z');
+    expect(toISO(1755447600000, LA)).toBe('2025-08-17T16:20:00.000Z');
+    expect(parseTimestamp('1755447600000', LA)).toBe(1755447600000);
+    expect(toISO('not a time', LA)).toBeUndefined();
+    expect(toISO('', LA)).toBeUndefined();
+  });
+
+  it('formats local time with its offset', () => {
+    expect(toLocalISO('2025-08-17T23:20:00.000Z', LA)).toBe('2025-08-17T16:20:00-07:00');
+    expect(toLocalISO('2025-01-14T00:20:00.000Z', LA)).toBe('2025-01-13T16:20:00-08:00');
+    expect(toLocalISO('2025-12-01T14:00:00.000Z', CHI)).toBe('2025-12-01T08:00:00-06:00');
+    expect(toLocalISO(undefined, LA)).toBeUndefined();
+    expect(localParts(Date.parse('2025-08-17T23:20:00Z'), LA)).toEqual({ date: '2025-08-17', hour: 16, weekday: 'Sun' });
+  });
+
+  it('PDX descriptions hand back the local stamp for zone-aware parsing', () => {
+    const { time } = parseDescription('ASSIST at 1 SW MAIN ST, PORT [Portland Police #PP1] Monday, January 13, 2025 4:20 PM');
+    expect(time).toBe('Monday, January 13, 2025 4:20 PM');
+    expect(toISO(time, LA)).toBe('2025-01-14T00:20:00.000Z');
+  });
+});
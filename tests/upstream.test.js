@@ -0,0 +1,88 @@
+// tests/upstream.test.js
+const { MockAgent, setGlobalDispatcher, getGlobalDispatcher } = require('undici');
+const { createUpstreamClient } = require('../src/services/upstream');
+
+const ORIGIN = 'https://feed.test';
+const URL_ = `${ORIGIN}/data`;
+
+let agent;
+let previous;
+beforeEach(() => {
+  previous = getGlobalDispatcher();
+  agent = new MockAgent();
+  agent.disableNetConnect();
+  setGlobalDispatcher(agent);
+});
+afterEach(async () => {
+  setGlobalDispatcher(previous);
+  await agent.close();
+});
+
+const reply = (status, body = 'x', times = 1) =>
+  agent.get(ORIGIN).intercept({ method: 'GET', path: '/data' }).reply(status, body).times(times);
+
+const client = (opts) => createUpstreamClient({ retries: 2, retryBaseMs: 1, timeoutMs: 1000, breakerThreshold: 2, breakerCooldownMs: 50, ...opts });
+
+describe('upstream client', () => {
+  test('retries 5xx responses, then succeeds', async () => {
+    reply(503, 'busy', 2);
+    reply(200, 'ok');
+    await expect(client().fetchText('feed', URL_)).resolves.toBe('ok');
+  });
+
+  test('4xx responses fail at once with a 502 naming the source', async () => {
+    reply(404, 'gone');
+    reply(200, 'never reached');
+    const err = await client().fetchText('feed', URL_).catch((e) => e);
+    expect(err).toMatchObject({ statusCode: 502, code: 'UPSTREAM_HTTP_ERROR', source: 'feed', upstreamStatus: 404 });
+    expect(err.details.source).toBe('feed');
+  });
+
+  test('slow responses are a 504', async () => {
+    agent.get(ORIGIN).intercept({ method: 'GET', path: '/data' }).reply(200, 'late').delay(200);
+    const err = await client({ timeoutMs: 30 }).fetchText('feed', URL_).catch((e) => e);
+    expect(err).toMatchObject({ statusCode: 504, code: 'UPSTREAM_TIMEOUT', source: 'feed' });
+  });
+
+  test('the circuit opens after repeated failures and closes after a good trial call', async () => {
+    const c = client({ retries: 0 });
+    reply(500, 'down', 2);
+    await expect(c.fetchText('feed', URL_)).rejects.toMatchObject({ code: 'UPSTREAM_HTTP_ERROR' });
+    await expect(c.fetchText('feed', URL_)).rejects.toMatchObject({ code: 'UPSTREAM_HTTP_ERROR' });
+    expect(c.breakerStates().feed.state).toBe('open');
+
+    // fails fast without touching the network
+    const err = await c.fetchText('feed', URL_).catch((e) => e);
+    expect(err).toMatchObject({ statusCode: 502, code: 'UPSTREAM_CIRCUIT_OPEN', source: 'feed' });
+    expect(err.details.retryAfterSeconds).toBeGreaterThan(0);
+
+    await new Promise((r) => setTimeout(r, 60));
+    reply(200, 'back');
+    await expect(c.fetchText('feed', URL_)).resolves.toBe('back');
+    expect(c.breakerStates().feed).toEqual({ state: 'closed', failures: 0 });
+  });
+
+  test('4xx responses leave the circuit closed', async () => {
+    const c = client({ retries: 0 });
+    reply(404, 'gone', 3);
+    for (let i = 0; i < 3; i++) {
+      await expect(c.fetchText('feed', URL_)).rejects.toMatchObject({ code: 'UPSTREAM_HTTP_ERROR', upstreamStatus: 404 });
+    }
+    expect(c.breakerStates().feed).toEqual({ state: 'closed', failures: 0 });
+  });
+});
+
+describe('upstream failures over HTTP', () => {
+  test('a failing city feed is a problem+json 502 naming the source', async () => {
+    const { buildApp } = require('../src/app');
+    const app = buildApp();
+    const u = new URL(process.env.SF_DATASET_URL);
+    agent.get(u.origin).intercept({ method: 'GET', path: /.*/ }).reply(500, 'oops').persist();
+
+    const res = await app.inject({ method: 'GET', url: '/v1/city/sf' });
+    await app.close();
+    expect(res.statusCode).toBe(502);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.json()).toMatchObject({ status: 502, code: 'UPSTREAM_HTTP_ERROR', source: 'sf', upstreamStatus: 500 });
+  });
+});
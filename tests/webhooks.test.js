@@ -0,0 +1,215 @@
+// tests/webhooks.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildApp } = require('../src/app');
+const { createChangeFeed } = require('../src/services/changes');
+const { createWebhooks, sign } = require('../src/services/webhooks');
+const { createApiKeys } = require('../src/services/apiKeys');
+const { isPrivateAddress } = require('../src/lib/publicHost');
+const { parseArea, areaContains } = require('../src/lib/geofence');
+
+const coverage = () => [
+  { city: 'pdx', provider: 'pdx', bounds: { minLat: 45.4, maxLat: 45.7, minLon: -122.9, maxLon: -122.4 } },
+  { city: 'sf', provider: 'sf', bounds: { minLat: 37.7, maxLat: 37.85, minLon: -122.52, maxLon: -122.35 } },
+];
+
+const place = (id, lat, lon, extra = {}) => ({ id, name: 'Theft', category: 'property', lat, lon, ...extra });
+
+const ok = (statusCode = 200) => ({ statusCode, body: { dump: async () => {} } });
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const publicDns = async () => [{ address: '93.184.216.34', family: 4 }];
+
+function setup(opts = {}) {
+  const feed = createChangeFeed();
+  const send = jest.fn(async () => ok());
+  const release = jest.fn();
+  const watchCity = jest.fn(() => release);
+  const hooks = createWebhooks({
+    file: '', deadLetterFile: '', feed, watchCity, coverage, send, lookup: publicDns, retryBaseMs: 1, retryMaxMs: 5, ...opts,
+  });
+  hooks.start();
+  return { feed, send, watchCity, release, hooks };
+}
+
+describe('geofences', () => {
+  it('tests circles and polygons with holes', () => {
+    const circle = parseArea({ lat: 45.52, lon: -122.68, radiusMiles: 1 });
+    expect(areaContains(circle, { lat: 45.525, lon: -122.68 })).toBe(true);
+    expect(areaContains(circle, { lat: 45.6, lon: -122.68 })).toBe(false);
+
+    const square = parseArea({
+      type: 'Polygon',
+      coordinates: [
+        [[-122.7, 45.5], [-122.6, 45.5], [-122.6, 45.6], [-122.7, 45.6], [-122.7, 45.5]],
+        [[-122.66, 45.54], [-122.64, 45.54], [-122.64, 45.56], [-122.66, 45.56], [-122.66, 45.54]],
+      ],
+    });
+    expect(areaContains(square, { lat: 45.52, lon: -122.68 })).toBe(true);
+    expect(areaContains(square, { lat: 45.55, lon: -122.65 })).toBe(false);
+    expect(() => parseArea({ lat: 45, lon: -122, radiusMiles: 0 })).toThrow(/radiusMiles/);
+  });
+});
+
+describe('webhook deliveries', () => {
+  it('posts signed webhooks for new places inside the area, after the baseline snapshot', async () => {
+    const { feed, send, watchCity, hooks } = setup();
+    const sub = hooks.create({ url: 'https://hooks.example.test/in', area: { lat: 45.52, lon: -122.68, radiusMiles: 1 } });
+    expect(sub.cities).toEqual(['pdx']);
+    expect(watchCity).toHaveBeenCalledWith('pdx', expect.anything());
+
+    feed.ingest('pdx', { fetchedAt: '2025-08-17T23:00:00Z', places: [place('a', 45.52, -122.68)] });
+    await flush();
+    expect(send).not.toHaveBeenCalled();
+
+    feed.ingest('pdx', {
+      fetchedAt: '2025-08-17T23:01:00Z',
+      places: [place('a', 45.52, -122.68), place('b', 45.521, -122.681), place('far', 45.65, -122.5)],
+    });
+    await flush();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    const [url, { headers, body }] = send.mock.calls[0];
+    expect(url).toBe('https://hooks.example.test/in');
+    expect(JSON.parse(body)).toMatchObject({ event: 'place.created', subscriptionId: sub.id, city: 'pdx', place: { id: 'b' } });
+    const [, t, v1] = headers['x-activedispatch-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    expect(v1).toBe(sign(sub.secret, t, body));
+    expect(hooks.get(sub.id).deliveries.delivered).toBe(1);
+    hooks.stop();
+  });
+
+  it('filters by incident type or category', async () => {
+    const { feed, send, hooks } = setup();
+    hooks.create({ url: 'https://hooks.example.test/t', area: { lat: 45.52, lon: -122.68, radiusMiles: 1 }, types: ['violent'] });
+    feed.ingest('pdx', { places: [] });
+    feed.ingest('pdx', { places: [place('x', 45.52, -122.68), place('y', 45.52, -122.68, { name: 'Assault', category: 'violent' })] });
+    await flush();
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(send.mock.calls[0][1].body).place.id).toBe('y');
+    hooks.stop();
+  });
+
+  it('retries failed deliveries and dead-letters them', async () => {
+    const { feed, send, hooks } = setup({ maxAttempts: 3 });
+    send.mockResolvedValueOnce(ok(500)).mockRejectedValueOnce(new Error('connect ECONNREFUSED')).mockResolvedValueOnce(ok(503));
+    const sub = hooks.create({ url: 'https://hooks.example.test/down', area: { lat: 45.52, lon: -122.68, radiusMiles: 1 } });
+    feed.ingest('pdx', { places: [] });
+    feed.ingest('pdx', { places: [place('z', 45.52, -122.68)] });
+    await flush();
+
+    expect(send).toHaveBeenCalledTimes(3);
+    const [letter] = hooks.deadLetters(sub.id);
+    expect(letter).toMatchObject({ subscriptionId: sub.id, attempts: 3, error: { status: 503 }, payload: { place: { id: 'z' } } });
+    expect(hooks.get(sub.id).deliveries).toMatchObject({ delivered: 0, failed: 1 });
+    hooks.stop();
+  });
+
+  it('refuses callback hosts on private networks', async () => {
+    expect(isPrivateAddress('169.254.169.254')).toBe(true);
+    expect(isPrivateAddress('::ffff:10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('fd00::1')).toBe(true);
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+
+    const lookup = jest.fn(async () => [{ address: '10.0.0.7', family: 4 }]);
+    const { feed, send, hooks } = setup({ lookup });
+    const area = { lat: 45.52, lon: -122.68, radiusMiles: 1 };
+    expect(() => hooks.create({ url: 'https://127.0.0.1/hook', area })).toThrow(/public host/);
+    expect(() => hooks.create({ url: 'https://[::1]/hook', area })).toThrow(/public host/);
+    expect(() => hooks.create({ url: 'https://db.localhost/hook', area })).toThrow(/public host/);
+
+    // a name that resolves privately is caught at delivery time, without retries
+    const sub = hooks.create({ url: 'https://internal.example.test/hook', area });
+    feed.ingest('pdx', { places: [] });
+    feed.ingest('pdx', { places: [place('p', 45.52, -122.68)] });
+    await flush();
+    expect(lookup).toHaveBeenCalledWith('internal.example.test', expect.anything());
+    expect(send).not.toHaveBeenCalled();
+    expect(hooks.deadLetters(sub.id)).toEqual([expect.objectContaining({ attempts: 1, error: { message: expect.stringMatching(/non-public/) } })]);
+    hooks.stop();
+  });
+
+  it('caps subscriptions per owner', () => {
+    const { hooks } = setup({ maxPerOwner: 2 });
+    const body = { url: 'https://hooks.example.test/x', area: { lat: 45.52, lon: -122.68, radiusMiles: 1 } };
+    hooks.create(body, { owner: 'ios' });
+    hooks.create(body, { owner: 'ios' });
+    expect(() => hooks.create(body, { owner: 'ios' })).toThrow(expect.objectContaining({ statusCode: 403, code: 'SUBSCRIPTION_LIMIT' }));
+    expect(hooks.create(body, { owner: 'web' }).owner).toBe('web');
+    hooks.stop();
+  });
+
+  it('keeps nothing live when the subscriptions file cannot be written', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    fs.writeFileSync(path.join(dir, 'blocker'), ''); // a file where the data directory should be
+    const { hooks, feed, send, watchCity } = setup({ file: path.join(dir, 'blocker', 'webhooks.json') });
+    const body = { url: 'https://hooks.example.test/x', area: { lat: 45.52, lon: -122.68, radiusMiles: 1 } };
+    expect(() => hooks.create(body)).toThrow();
+    expect(hooks.list()).toEqual([]);
+    expect(watchCity).not.toHaveBeenCalled();
+
+    feed.ingest('pdx', { fetchedAt: '2025-08-17T23:00:00Z', places: [] });
+    feed.ingest('pdx', { fetchedAt: '2025-08-17T23:01:00Z', places: [place('b', 45.52, -122.68)] });
+    await flush();
+    expect(send).not.toHaveBeenCalled();
+    hooks.stop();
+  });
+
+  it('releases the city refresh when a subscription is removed', () => {
+    const { hooks, release } = setup();
+    const sub = hooks.create({ url: 'https://hooks.example.test/x', area: { lat: 37.77, lon: -122.42, radiusMiles: 2 } });
+    expect(sub.cities).toEqual(['sf']);
+    expect(hooks.remove(sub.id)).toBe(true);
+    expect(release).toHaveBeenCalled();
+    expect(hooks.list()).toEqual([]);
+    hooks.stop();
+  });
+});
+
+describe('webhook routes', () => {
+  let app;
+  const key = { 'x-api-key': 'secret-ios' };
+  const admin = { authorization: 'Bearer admin-secret' };
+
+  beforeAll(async () => {
+    app = buildApp({
+      apiKeys: createApiKeys({ file: undefined, required: false, adminToken: 'admin-secret', keys: [{ id: 'ios', key: 'secret-ios' }] }),
+      webhooks: createWebhooks({ file: '', deadLetterFile: '', coverage, watchCity: () => () => {} }),
+    });
+    await app.ready();
+  });
+  afterAll(() => app.close());
+
+  it('validates, creates, lists and deletes subscriptions', async () => {
+    const post = (payload, headers = key) => app.inject({ method: 'POST', url: '/v1/webhooks', headers, payload });
+    const area = { lat: 45.52, lon: -122.68, radiusMiles: 1 };
+
+    const anonymous = await post({ url: 'https://a.test/hook', area }, {});
+    expect(anonymous.statusCode).toBe(401);
+
+    expect((await post({ url: 'http://insecure.test', area })).statusCode).toBe(400);
+    expect((await post({ url: 'https://169.254.169.254/latest', area })).statusCode).toBe(400);
+
+    const outside = await post({ url: 'https://a.test', area: { lat: 0, lon: 0, radiusMiles: 1 } });
+    expect(outside.statusCode).toBe(400);
+    expect(outside.json().code).toBe('OUTSIDE_COVERAGE');
+
+    const created = await post({ url: 'https://a.test/hook', area });
+    expect(created.statusCode).toBe(201);
+    const { id, secret, owner } = created.json();
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(owner).toBe('ios');
+
+    const listed = await app.inject({ method: 'GET', url: '/v1/webhooks', headers: key });
+    expect(listed.json().subscriptions).toEqual([expect.objectContaining({ id, cities: ['pdx'] })]);
+    expect(listed.body).not.toContain(secret);
+
+    // the admin token sees every owner's subscriptions
+    expect((await app.inject({ method: 'GET', url: `/v1/webhooks/${id}`, headers: admin })).statusCode).toBe(200);
+
+    expect((await app.inject({ method: 'GET', url: `/v1/webhooks/${id}/dead-letters`, headers: key })).json()).toEqual({ deadLetters: [] });
+    expect((await app.inject({ method: 'DELETE', url: `/v1/webhooks/${id}`, headers: key })).statusCode).toBe(204);
+    expect((await app.inject({ method: 'GET', url: `/v1/webhooks/${id}`, headers: key })).json().code).toBe('UNKNOWN_SUBSCRIPTION');
+  });
+});